@@ -1,8 +1,207 @@
+const ISSUE_CLASS_LABELS = {
+  equity: "Equity",
+  "fixed-income": "Fixed income",
+  reserved: "Reserved issue number"
+};
+
+const POLICY_LABELS = {
+  strict: "Strict",
+  standard: "Standard",
+  lenient: "Lenient",
+  custom: "Custom"
+};
+
+const NORMALIZATION_LABELS = {
+  trimWhitespace: "trimmed surrounding whitespace",
+  stripInnerWhitespace: "removed inner whitespace",
+  stripHyphens: "removed hyphens",
+  caseFolding: "converted to uppercase"
+};
+
+// Imported files are untrusted; escape anything from them before rendering
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Header names that identify the identifier column of an imported file
+const IDENTIFIER_HEADER = /cusip|cins|isin|sedol|figi|identifier|security.?id/i;
+
+// Batch lines validated per step when no worker is available
+const MAIN_THREAD_CHUNK = 500;
+
+// Download types for the export formats (CUSIPIO.EXPORT_FORMATS plus XLSX,
+// which needs SheetJS)
+const EXPORT_MIME_TYPES = {
+  csv: "text/csv",
+  json: "application/json",
+  ndjson: "application/x-ndjson",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+};
+
+// Batch results grid: rows have a fixed height (px) so only the ones in
+// view are rendered, plus an overscan above and below for smooth scrolling
+const BATCH_ROW_HEIGHT = 40;
+const BATCH_ROW_OVERSCAN = 10;
+const BATCH_GRID_HEIGHT = 400;
+
+// Occurrence count and lines of a repeated identifier; long runs list the
+// first few lines only
+function duplicateText(duplicate) {
+  const lines = duplicate.lines.slice(0, 5).join(", ");
+  const more =
+    duplicate.lines.length > 5 ? ` +${duplicate.lines.length - 5} more` : "";
+
+  return `Duplicate ${duplicate.count}× (${
+    duplicate.kind === "normalized" ? "after normalization, " : ""
+  }lines ${lines}${more})`;
+}
+
+// Issuer, ticker, asset class and status of a security master entry
+function securityText(security) {
+  return [
+    security.issuer,
+    security.ticker,
+    security.assetClass,
+    security.status
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+// Replacement of a superseded identifier, with when and why it changed
+function changeText(change) {
+  const when = change.effectiveDate ? ` on ${change.effectiveDate}` : "";
+  const why = change.reason ? ` (${change.reason})` : "";
+  return change.pending
+    ? `Changes to ${change.identifier}${when}${why}`
+    : `Superseded by ${change.identifier}${when}${why}`;
+}
+
+// Secondary text of a batch result: normalization, duplicates, CUSIP
+// changes, security master data, repairs, suggestions and imported
+// columns. Shown in the Details column and searched by the filter.
+function batchDetailsText(result) {
+  return [
+    result.inputModified ? `→ ${result.normalized}` : "",
+    result.duplicate ? duplicateText(result.duplicate) : "",
+    result.change ? changeText(result.change) : "",
+    result.security ? securityText(result.security) : "",
+    result.unknownToMaster ? "Not in the security master" : "",
+    ...(result.repairs || []).map((repair) => repair.description),
+    result.suggestions.length > 0
+      ? `Did you mean ${result.suggestions.map((s) => s.cusip).join(", ")}?`
+      : "",
+    ...Object.entries(result.extra || {}).map(
+      ([name, value]) => `${name}: ${value}`
+    )
+  ]
+    .filter((text) => text.trim().length > 0)
+    .join(" · ");
+}
+
+// Rows shown per reconciliation bucket; exports always have them all
+const RECONCILE_DISPLAY_LIMIT = 500;
+
+// Rows shown per change of a run comparison; exports always have them all
+const RUN_DIFF_DISPLAY_LIMIT = 500;
+
+// Failures listed in a printed report; the rest are counted, and the
+// results export has them all
+const REPORT_FAILURE_LIMIT = 1000;
+
+// Valid, invalid and repeated lines of a batch run, once markDuplicates()
+// has run
+function batchSummary(results) {
+  const valid = results.filter((r) => r.valid).length;
+  return {
+    total: results.length,
+    valid,
+    invalid: results.length - valid,
+    duplicates: results.filter((r) => r.duplicate && !r.duplicate.first).length
+  };
+}
+
+// History view entries per page
+const HISTORY_PAGE_SIZE = 25;
+
+// Where the history was kept before it moved to IndexedDB
+const LEGACY_HISTORY_KEY = "cusipValidationHistory";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Last audit log entry appended ({ seq, hash }), kept apart from the log so
+// verification notices entries removed from its end
+const AUDIT_HEAD_KEY = "cusipAuditHead";
+
+// Issuer groupings of the batch grid, as CUSIPIO.groupByIssuer() modes
+const BATCH_ISSUER_GROUPINGS = { issuer: "prefix", issuerName: "name" };
+
+// Batch results grid columns; `value` is what a column sorts by
+const BATCH_COLUMNS = [
+  { key: "line", label: "Line", value: (r) => r.line },
+  { key: "identifier", label: "Identifier", value: (r) => r.cusip },
+  { key: "type", label: "Type", value: (r) => r.type },
+  { key: "status", label: "Status", value: (r) => (r.valid ? 0 : 1) },
+  { key: "errorCode", label: "Error", value: (r) => r.errorCode || null },
+  {
+    key: "checkDigit",
+    label: "Check",
+    title: "Check digit provided",
+    value: (r) => r.providedCheckDigit
+  },
+  {
+    key: "calculated",
+    label: "Calc.",
+    title: "Check digit calculated",
+    value: (r) => r.calculatedCheckDigit
+  },
+  { key: "details", label: "Details", value: batchDetailsText }
+];
+
 class CUSIPValidator {
   constructor() {
-    this.validationHistory = this.loadHistory();
+    this.validationHistory = [];
+    this.lastHistoryId = 0;
+    this.historyView = {
+      page: 0,
+      search: "",
+      status: "all",
+      from: "",
+      to: ""
+    };
+    this.settings = this.loadSettings();
     this.charts = {};
     this.lastBatchResults = [];
+    this.batchView = {
+      filter: "all",
+      groupBy: "none",
+      toggledGroups: new Set(),
+      status: "all",
+      errorCode: "all",
+      search: "",
+      sortKey: "line",
+      sortDir: "asc"
+    };
+    this.batchGrid = null;
+    this.pendingImport = null;
+    this.batchImport = null;
+    this.batchControl = null;
+    this.batchRun = null;
+    this.reconciliation = null;
+    this.extraction = null;
+    this.batchSource = null;
+    this.batchRuns = [];
+    this.sessionRunResults = new Map();
+    this.runComparison = null;
+    this.currentRun = null;
+    this.auditHead = null;
+    this.auditQueue = Promise.resolve();
+    this.securityMaster = new Map();
+    this.cusipChanges = new Map();
     this.isInitialized = false;
 
     // Ensure DOM is fully loaded before initialization
@@ -19,6 +218,11 @@ class CUSIPValidator {
     console.log("Initializing CUSIP Validator Pro...");
 
     this.setupEventListeners();
+    this.loadSecurityMaster();
+    this.loadCUSIPChanges();
+    this.loadHistory();
+    this.loadBatchRuns();
+    this.updateAuditStatus();
     this.initializeCharts();
     this.updateStats();
     this.startPerformanceMonitoring();
@@ -28,65 +232,51 @@ class CUSIPValidator {
   }
 
   /**
-   * Core CUSIP Validation Algorithm
+   * Core CUSIP Validation Algorithm (rules live in cusip-core.js)
    */
   validateCUSIP(cusip) {
-    if (!cusip || typeof cusip !== "string") {
-      return { valid: false, error: "Invalid input type" };
-    }
+    const result = CUSIPCore.validateCUSIP(cusip, { policy: this.getPolicy() });
 
-    cusip = cusip.trim().toUpperCase();
-
-    if (cusip.length !== 9) {
-      return { valid: false, error: "CUSIP must be exactly 9 characters" };
-    }
+    // Flag CUSIPs retired by a corporate action in the loaded mapping
+    const change = CUSIPIO.findReplacement(
+      { type: "CUSIP", ...result },
+      this.cusipChanges
+    );
+    return change ? { ...result, change } : result;
+  }
 
-    const validChars = /^[0-9A-Z*@#]+$/;
-    if (!validChars.test(cusip)) {
-      return { valid: false, error: "Invalid characters in CUSIP" };
+  /**
+   * Auto-detecting validation for mixed lists (CUSIP, CINS, ISIN, SEDOL,
+   * FIGI). CUSIP and CINS go through validateCUSIP so they stay monitored.
+   */
+  validateIdentifier(value) {
+    const policy = this.getPolicy();
+    const type = CUSIPCore.detectIdentifier(value, { policy });
+    if (type === "CUSIP" || type === "CINS") {
+      return { type, ...this.validateCUSIP(value) };
     }
+    return CUSIPCore.validateIdentifier(value, { policy });
+  }
 
-    let sum = 0;
-
-    for (let i = 0; i < 8; i++) {
-      const char = cusip[i];
-      let value;
-
-      if (char >= "0" && char <= "9") {
-        value = parseInt(char);
-      } else if (char >= "A" && char <= "Z") {
-        value = char.charCodeAt(0) - "A".charCodeAt(0) + 10;
-      } else if (char === "*") {
-        value = 36;
-      } else if (char === "@") {
-        value = 37;
-      } else if (char === "#") {
-        value = 38;
-      } else {
-        return {
-          valid: false,
-          error: `Invalid character at position ${i + 1}`
-        };
-      }
-
-      if ((i + 1) % 2 === 0) {
-        value *= 2;
-      }
-
-      sum += Math.floor(value / 10) + (value % 10);
+  /**
+   * Validation policy from the settings. A saved policy the engine no longer
+   * understands falls back to the default rather than breaking validation.
+   */
+  getPolicy() {
+    try {
+      return CUSIPCore.resolvePolicy(this.settings.policy);
+    } catch (error) {
+      console.warn("Invalid validation policy in settings:", error);
+      return CUSIPCore.DEFAULT_POLICY;
     }
+  }
 
-    const calculatedCheckDigit = (10 - (sum % 10)) % 10;
-    const providedCheckDigit = parseInt(cusip[8]);
-    const isValid = calculatedCheckDigit === providedCheckDigit;
-
-    return {
-      valid: isValid,
-      providedCheckDigit,
-      calculatedCheckDigit,
-      sum,
-      error: isValid ? null : "Check digit validation failed"
-    };
+  /**
+   * Input as the current policy prepares it; used to route single-view
+   * input by length before validating.
+   */
+  prepareInput(raw) {
+    return CUSIPCore.applyPolicy(raw, this.getPolicy());
   }
 
   /**
@@ -104,12 +294,43 @@ class CUSIPValidator {
     // Batch processing - Fixed with proper button states
     this.setupBatchProcessing();
 
+    // CSV/TSV/XLSX import for batch mode
+    this.setupFileImport();
+
+    // CUSIPs picked out of pasted free text, for the batch
+    this.setupTextExtraction();
+
+    // Saved batch runs and run-to-run comparison
+    this.setupBatchRuns();
+
+    // Two-list reconciliation
+    this.setupReconciliation();
+
+    // Searchable validation history and its retention policy
+    this.setupHistory();
+
     // Example buttons - Fixed with proper selection
     this.setupExampleButtons();
 
     // Keyboard shortcuts
     this.setupKeyboardShortcuts();
 
+    // ISIN country settings
+    this.setupIsinSettings();
+
+    // Validation policy settings
+    this.setupPolicySettings();
+
+    // Export format and fields, for batch results and history
+    this.setupExportOptions();
+
+    // Security master and CUSIP change reference files
+    this.setupSecurityMaster();
+    this.setupCUSIPChanges();
+
+    // Hash-chained audit log of validations and batch runs
+    this.setupAuditLog();
+
     console.log("Event listeners setup complete!");
   }
 
@@ -150,18 +371,21 @@ class CUSIPValidator {
     let debounceTimer;
     input.addEventListener("input", (e) => {
       clearTimeout(debounceTimer);
-      const value = e.target.value.trim();
+      // The policy decides how much of the raw input is cleaned up
+      const value = e.target.value;
+      const isBlank = value.trim().length === 0;
 
       // Show/hide clear button
-      clearBtn.classList.toggle("visible", value.length > 0);
+      clearBtn.classList.toggle("visible", !isBlank);
 
       debounceTimer = setTimeout(() => {
-        if (value.length === 9) {
-          this.displayValidationResult(value, resultPanel);
-        } else if (value.length > 0) {
-          this.displayPartialResult(value, resultPanel);
-        } else {
+        if (isBlank) {
           this.displayPlaceholder(resultPanel);
+        } else if (!this.displaySingleResult(value, resultPanel)) {
+          this.displayPartialResult(
+            this.prepareInput(value).value,
+            resultPanel
+          );
         }
       }, 300);
 
@@ -170,18 +394,47 @@ class CUSIPValidator {
 
     // Validate button
     validateBtn.addEventListener("click", () => {
-      const value = input.value.trim();
-      if (value.length === 9) {
-        this.displayValidationResult(value, resultPanel);
-      } else {
+      if (!this.displaySingleResult(input.value, resultPanel)) {
         this.showToast(
           "Invalid Input",
-          "Please enter a 9-character CUSIP",
+          "Please enter a 9-character CUSIP, an 8-character base or a 12-character ISIN",
           "warning"
         );
       }
     });
 
+    // Copy and suggestion buttons inside result cards (delegated, cards are
+    // re-rendered)
+    resultPanel.addEventListener("click", (e) => {
+      const copyBtn = e.target.closest("[data-copy]");
+      if (copyBtn) {
+        this.copyToClipboard(copyBtn.dataset.copy);
+        return;
+      }
+
+      const suggestionBtn = e.target.closest("[data-use]");
+      if (suggestionBtn) {
+        input.value = suggestionBtn.dataset.use;
+        input.dispatchEvent(new Event("input"));
+        input.focus();
+      }
+    });
+
+    // Walkthrough: hovering a table row or character highlights both
+    const highlightPosition = (e, active) => {
+      const cell = e.target.closest("[data-position]");
+      if (!cell) return;
+      resultPanel
+        .querySelectorAll(`[data-position="${cell.dataset.position}"]`)
+        .forEach((el) => el.classList.toggle("active", active));
+    };
+    resultPanel.addEventListener("mouseover", (e) =>
+      highlightPosition(e, true)
+    );
+    resultPanel.addEventListener("mouseout", (e) =>
+      highlightPosition(e, false)
+    );
+
     // Clear button
     clearBtn.addEventListener("click", () => {
       input.value = "";
@@ -191,24 +444,218 @@ class CUSIPValidator {
     });
   }
 
+  setupIsinSettings() {
+    const countrySelect = document.getElementById("isinCountry");
+    const cinsInput = document.getElementById("cinsCountry");
+
+    if (!countrySelect || !cinsInput) {
+      console.error("ISIN settings elements not found!");
+      return;
+    }
+
+    countrySelect.value = this.settings.isinCountry;
+    cinsInput.value = this.settings.cinsCountry;
+
+    const onChange = () => {
+      this.settings.isinCountry = countrySelect.value;
+      this.settings.cinsCountry = cinsInput.value.trim().toUpperCase();
+      this.saveSettings();
+
+      // Refresh the card so the ISIN reflects the new country
+      const input = document.getElementById("cusipInput");
+      if (input && input.value.trim().length === 9) {
+        input.dispatchEvent(new Event("input"));
+      }
+    };
+
+    countrySelect.addEventListener("change", onChange);
+    cinsInput.addEventListener("change", onChange);
+  }
+
+  /**
+   * Every [data-export-format] select (batch and history) shows the same
+   * saved format; "All fields" adds the detail columns to either export.
+   */
+  setupExportOptions() {
+    const formatSelects = document.querySelectorAll("[data-export-format]");
+    const allFieldsToggle = document.getElementById("exportAllFields");
+    const historyBtn = document.getElementById("exportHistory");
+
+    if (formatSelects.length === 0 || !allFieldsToggle || !historyBtn) {
+      console.error("Export option elements not found!");
+      return;
+    }
+
+    if (!EXPORT_MIME_TYPES[this.settings.exportFormat]) {
+      this.settings.exportFormat = "csv";
+    }
+
+    formatSelects.forEach((select) => {
+      select.value = this.settings.exportFormat;
+      select.addEventListener("change", () => {
+        this.settings.exportFormat = select.value;
+        formatSelects.forEach((other) => {
+          other.value = select.value;
+        });
+        this.saveSettings();
+      });
+    });
+
+    allFieldsToggle.checked = this.settings.exportAllFields;
+    allFieldsToggle.addEventListener("change", () => {
+      this.settings.exportAllFields = allFieldsToggle.checked;
+      this.saveSettings();
+    });
+
+    historyBtn.addEventListener("click", () => this.exportHistory());
+  }
+
+  setupSecurityMaster() {
+    const fileInput = document.getElementById("masterFile");
+    const clearBtn = document.getElementById("clearMaster");
+
+    if (!fileInput || !clearBtn) {
+      console.error("Security master elements not found!");
+      return;
+    }
+
+    fileInput.addEventListener("change", () => {
+      if (fileInput.files.length > 0) {
+        this.importSecurityMaster(fileInput.files[0]);
+      }
+      fileInput.value = "";
+    });
+    clearBtn.addEventListener("click", () => this.clearSecurityMaster());
+
+    this.updateMasterStatus();
+  }
+
+  setupAuditLog() {
+    const modeToggle = document.getElementById("auditMode");
+    const verifyBtn = document.getElementById("verifyAudit");
+    const exportBtn = document.getElementById("exportAudit");
+
+    if (!modeToggle || !verifyBtn || !exportBtn) {
+      console.error("Audit log elements not found!");
+      return;
+    }
+
+    modeToggle.checked = this.settings.auditMode;
+    modeToggle.addEventListener("change", () =>
+      this.setAuditMode(modeToggle.checked)
+    );
+    verifyBtn.addEventListener("click", () => this.verifyAuditLog());
+    exportBtn.addEventListener("click", () => this.exportAuditBundle());
+  }
+
+  setupCUSIPChanges() {
+    const fileInput = document.getElementById("changesFile");
+    const clearBtn = document.getElementById("clearChanges");
+
+    if (!fileInput || !clearBtn) {
+      console.error("CUSIP change elements not found!");
+      return;
+    }
+
+    fileInput.addEventListener("change", () => {
+      if (fileInput.files.length > 0) {
+        this.importCUSIPChanges(fileInput.files[0]);
+      }
+      fileInput.value = "";
+    });
+    clearBtn.addEventListener("click", () => this.clearCUSIPChanges());
+
+    this.updateChangesStatus();
+  }
+
+  setupPolicySettings() {
+    const presetSelect = document.getElementById("policyPreset");
+    const ruleInputs = document.querySelectorAll("[data-policy-rule]");
+
+    if (!presetSelect || ruleInputs.length === 0) {
+      console.error("Policy settings elements not found!");
+      return;
+    }
+
+    const render = () => {
+      const policy = this.getPolicy();
+      presetSelect.value = policy.name;
+      ruleInputs.forEach((checkbox) => {
+        checkbox.checked = policy[checkbox.dataset.policyRule];
+      });
+
+      const input = document.getElementById("cusipInput");
+      const overlay = document.getElementById("inputOverlay");
+      [input, overlay].forEach((el) => {
+        if (el) el.classList.toggle("preserve-case", !policy.caseFolding);
+      });
+    };
+
+    const onChange = (policy) => {
+      this.settings.policy = policy;
+      this.saveSettings();
+      render();
+
+      // Re-validate so the card reflects the new policy
+      const input = document.getElementById("cusipInput");
+      if (input && input.value.trim().length > 0) {
+        input.dispatchEvent(new Event("input"));
+      }
+    };
+
+    presetSelect.addEventListener("change", () => {
+      // "Custom" keeps the current rules until a checkbox changes
+      if (presetSelect.value !== "custom") onChange(presetSelect.value);
+    });
+
+    ruleInputs.forEach((checkbox) => {
+      checkbox.addEventListener("change", () => {
+        const rules = {};
+        ruleInputs.forEach((el) => {
+          rules[el.dataset.policyRule] = el.checked;
+        });
+        onChange(rules);
+      });
+    });
+
+    render();
+  }
+
   setupBatchProcessing() {
     const textarea = document.getElementById("batchInput");
     const processBtn = document.getElementById("processBatch");
     const loadSampleBtn = document.getElementById("loadSample");
     const exportBtn = document.getElementById("exportResults");
+    const issuersBtn = document.getElementById("exportIssuers");
+    const reportBtn = document.getElementById("generateReport");
+    const resultsContainer = document.getElementById("batchResults");
 
-    if (!textarea || !processBtn || !loadSampleBtn || !exportBtn) {
+    if (
+      !textarea ||
+      !processBtn ||
+      !loadSampleBtn ||
+      !exportBtn ||
+      !issuersBtn ||
+      !reportBtn ||
+      !resultsContainer
+    ) {
       console.error("Batch processing elements not found!");
       return;
     }
 
     // Textarea input
     textarea.addEventListener("input", (e) => {
+      // Editing the text breaks the line-to-row mapping of an import
+      if (this.batchImport && e.target.value !== this.batchImport.text) {
+        this.batchImport = null;
+        this.updateImportInfo();
+      }
+
       const count = e.target.value.split("\n").filter((line) => line.trim())
         .length;
       const countText = document.querySelector(".batch-count");
       if (countText) {
-        countText.textContent = `${count} CUSIP${
+        countText.textContent = `${count.toLocaleString()} CUSIP${
           count !== 1 ? "s" : ""
         } entered`;
       }
@@ -233,12 +680,332 @@ class CUSIPValidator {
     exportBtn.addEventListener("click", () => {
       this.exportResults();
     });
+    issuersBtn.addEventListener("click", () => {
+      this.exportIssuerSummary();
+    });
+
+    // Printed report: only the report prints until the dialog closes
+    reportBtn.addEventListener("click", () => {
+      this.generateReport();
+    });
+    window.addEventListener("afterprint", () => {
+      document.body.classList.remove("printing-report");
+    });
+
+    // Spreadsheet damage repair
+    const repairToggle = document.getElementById("repairSpreadsheet");
+    if (repairToggle) {
+      repairToggle.checked = this.settings.repairSpreadsheet;
+      repairToggle.addEventListener("change", () => {
+        this.settings.repairSpreadsheet = repairToggle.checked;
+        this.saveSettings();
+      });
+    }
+
+    // Result filtering (status, error type, CUSIP classification, text
+    // search) and grouping by CUSIP classification
+    const filterSelect = document.getElementById("batchFilter");
+    const groupSelect = document.getElementById("batchGroupBy");
+    const statusSelect = document.getElementById("batchStatus");
+    const errorCodeSelect = document.getElementById("batchErrorCode");
+    const searchInput = document.getElementById("batchSearch");
+    if (
+      filterSelect &&
+      groupSelect &&
+      statusSelect &&
+      errorCodeSelect &&
+      searchInput
+    ) {
+      const onViewChange = () => {
+        if (groupSelect.value !== this.batchView.groupBy) {
+          this.batchView.toggledGroups.clear();
+        }
+        this.batchView.filter = filterSelect.value;
+        this.batchView.groupBy = groupSelect.value;
+        this.batchView.status = statusSelect.value;
+        this.batchView.errorCode = errorCodeSelect.value;
+        this.batchView.search = searchInput.value;
+        this.displayBatchResults(this.lastBatchResults);
+      };
+      [
+        filterSelect,
+        groupSelect,
+        statusSelect,
+        errorCodeSelect
+      ].forEach((select) => select.addEventListener("change", onViewChange));
+
+      let searchTimer;
+      searchInput.addEventListener("input", () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(onViewChange, 200);
+      });
+    }
+
+    // Sorting, expanding groups and click-through to the single view
+    // (delegated, the grid is re-rendered)
+    resultsContainer.addEventListener("click", (e) => {
+      const sortBtn = e.target.closest("[data-sort]");
+      if (sortBtn) {
+        this.sortBatchBy(sortBtn.dataset.sort);
+        return;
+      }
+
+      const groupRow = e.target.closest("[data-group]");
+      if (groupRow && this.batchGrid) {
+        this.toggleBatchGroup(
+          this.batchGrid.rows[Number(groupRow.dataset.group)]
+        );
+        return;
+      }
+
+      const row = e.target.closest("[data-row]");
+      if (row && this.batchGrid) {
+        this.openInSingleView(this.batchGrid.rows[Number(row.dataset.row)]);
+      }
+    });
+    resultsContainer.addEventListener("keydown", (e) => {
+      const groupRow = e.target.closest("[data-group]");
+      if (groupRow && this.batchGrid && e.key === "Enter") {
+        this.toggleBatchGroup(
+          this.batchGrid.rows[Number(groupRow.dataset.group)]
+        );
+        return;
+      }
+
+      const row = e.target.closest("[data-row]");
+      if (row && this.batchGrid && e.key === "Enter") {
+        this.openInSingleView(this.batchGrid.rows[Number(row.dataset.row)]);
+      }
+    });
 
     // Initial button state
     processBtn.disabled = true;
     processBtn.classList.add("disabled");
   }
 
+  setupTextExtraction() {
+    const toggleBtn = document.getElementById("toggleExtract");
+    const panel = document.getElementById("extractPanel");
+    const input = document.getElementById("extractInput");
+    const sendBtn = document.getElementById("sendExtract");
+
+    if (!toggleBtn || !panel || !input || !sendBtn) {
+      console.error("Text extraction elements not found!");
+      return;
+    }
+
+    toggleBtn.addEventListener("click", () => {
+      panel.hidden = !panel.hidden;
+      toggleBtn.setAttribute("aria-expanded", String(!panel.hidden));
+      if (!panel.hidden) input.focus();
+    });
+
+    let scanTimer;
+    input.addEventListener("input", () => {
+      clearTimeout(scanTimer);
+      scanTimer = setTimeout(() => this.scanText(), 300);
+    });
+
+    sendBtn.addEventListener("click", () => this.sendExtractionToBatch());
+  }
+
+  setupBatchRuns() {
+    const toggleBtn = document.getElementById("toggleRuns");
+    const panel = document.getElementById("runsPanel");
+    const list = document.getElementById("runsList");
+    const compareBtn = document.getElementById("compareRuns");
+    const diffContainer = document.getElementById("runDiff");
+
+    if (!toggleBtn || !panel || !list || !compareBtn || !diffContainer) {
+      console.error("Saved run elements not found!");
+      return;
+    }
+
+    toggleBtn.addEventListener("click", () => {
+      panel.hidden = !panel.hidden;
+      toggleBtn.setAttribute("aria-expanded", String(!panel.hidden));
+    });
+
+    // Run actions and renaming (delegated, the list is re-rendered)
+    list.addEventListener("click", (e) => {
+      const actionBtn = e.target.closest("[data-run-action]");
+      if (!actionBtn) return;
+
+      const id = Number(actionBtn.dataset.id);
+      switch (actionBtn.dataset.runAction) {
+        case "open":
+          this.openBatchRun(id);
+          break;
+        case "export":
+          this.exportBatchRun(id);
+          break;
+        case "delete":
+          this.deleteBatchRun(id);
+          break;
+      }
+    });
+    list.addEventListener("change", (e) => {
+      const nameInput = e.target.closest("[data-run-name]");
+      if (nameInput) {
+        this.renameBatchRun(Number(nameInput.dataset.runName), nameInput.value);
+      }
+    });
+
+    compareBtn.addEventListener("click", () => this.compareBatchRuns());
+
+    diffContainer.addEventListener("click", (e) => {
+      const tab = e.target.closest("[data-run-change]");
+      if (tab && this.runComparison) {
+        this.runComparison.change = tab.dataset.runChange;
+        this.displayRunComparison();
+        return;
+      }
+
+      const exportBtn = e.target.closest("[data-export-change]");
+      if (exportBtn) {
+        this.exportRunComparison(exportBtn.dataset.exportChange);
+      }
+    });
+  }
+
+  setupReconciliation() {
+    const leftInput = document.getElementById("reconcileLeft");
+    const rightInput = document.getElementById("reconcileRight");
+    const runBtn = document.getElementById("runReconcile");
+    const resultsContainer = document.getElementById("reconcileResults");
+
+    if (!leftInput || !rightInput || !runBtn || !resultsContainer) {
+      console.error("Reconciliation elements not found!");
+      return;
+    }
+
+    const onInput = () => {
+      [
+        [leftInput, "reconcileLeftCount"],
+        [rightInput, "reconcileRightCount"]
+      ].forEach(([input, countId]) => {
+        const count = input.value.split("\n").filter((line) => line.trim())
+          .length;
+        const countText = document.getElementById(countId);
+        if (countText) {
+          countText.textContent = `${count.toLocaleString()} CUSIP${
+            count !== 1 ? "s" : ""
+          } entered`;
+        }
+      });
+
+      const ready =
+        leftInput.value.trim().length > 0 && rightInput.value.trim().length > 0;
+      runBtn.disabled = !ready;
+      runBtn.classList.toggle("disabled", !ready);
+    };
+    leftInput.addEventListener("input", onInput);
+    rightInput.addEventListener("input", onInput);
+    onInput();
+
+    runBtn.addEventListener("click", () => this.runReconciliation());
+
+    // Bucket tabs and exports (delegated, the results are re-rendered)
+    resultsContainer.addEventListener("click", (e) => {
+      const tab = e.target.closest("[data-bucket]");
+      if (tab && this.reconciliation) {
+        this.reconciliation.bucket = tab.dataset.bucket;
+        this.displayReconciliation();
+        return;
+      }
+
+      const exportBtn = e.target.closest("[data-export-bucket]");
+      if (exportBtn) {
+        this.exportReconciliation(exportBtn.dataset.exportBucket);
+      }
+    });
+  }
+
+  setupHistory() {
+    const searchInput = document.getElementById("historySearch");
+    const fromInput = document.getElementById("historyFrom");
+    const toInput = document.getElementById("historyTo");
+    const statusSelect = document.getElementById("historyStatus");
+    const daysSelect = document.getElementById("historyRetentionDays");
+    const maxSelect = document.getElementById("historyMaxEntries");
+    const resultsContainer = document.getElementById("historyResults");
+
+    if (
+      !searchInput ||
+      !fromInput ||
+      !toInput ||
+      !statusSelect ||
+      !daysSelect ||
+      !maxSelect ||
+      !resultsContainer
+    ) {
+      console.error("History elements not found!");
+      return;
+    }
+
+    const onFilterChange = () => {
+      this.historyView.search = searchInput.value;
+      this.historyView.from = fromInput.value;
+      this.historyView.to = toInput.value;
+      this.historyView.status = statusSelect.value;
+      this.historyView.page = 0;
+      this.displayHistory();
+    };
+    [fromInput, toInput, statusSelect].forEach((input) =>
+      input.addEventListener("change", onFilterChange)
+    );
+
+    let searchTimer;
+    searchInput.addEventListener("input", () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(onFilterChange, 200);
+    });
+
+    // Retention policy: how many days and how many entries to keep
+    daysSelect.value = String(this.settings.historyRetentionDays);
+    maxSelect.value = String(this.settings.historyMaxEntries);
+    const onRetentionChange = () => {
+      this.settings.historyRetentionDays = Number(daysSelect.value);
+      this.settings.historyMaxEntries = Number(maxSelect.value);
+      this.saveSettings();
+
+      const removed = this.pruneHistory();
+      if (removed > 0) {
+        this.refreshHistory();
+        this.showToast(
+          "History Pruned",
+          `${removed.toLocaleString()} ${
+            removed !== 1 ? "entries" : "entry"
+          } outside the new retention policy removed`,
+          "info"
+        );
+      }
+    };
+    daysSelect.addEventListener("change", onRetentionChange);
+    maxSelect.addEventListener("change", onRetentionChange);
+
+    // Paging and row actions (delegated, the list is re-rendered)
+    resultsContainer.addEventListener("click", (e) => {
+      const pageBtn = e.target.closest("[data-history-page]");
+      if (pageBtn) {
+        this.historyView.page +=
+          pageBtn.dataset.historyPage === "next" ? 1 : -1;
+        this.displayHistory();
+        return;
+      }
+
+      const actionBtn = e.target.closest("[data-history-action]");
+      if (!actionBtn) return;
+
+      const id = Number(actionBtn.dataset.id);
+      if (actionBtn.dataset.historyAction === "revalidate") {
+        this.revalidateHistoryEntry(id);
+      } else {
+        this.deleteHistoryEntry(id);
+      }
+    });
+  }
+
   setupExampleButtons() {
     const exampleButtons = document.querySelectorAll(".example-btn");
     console.log(`Found ${exampleButtons.length} example buttons`);
@@ -286,41 +1053,218 @@ class CUSIPValidator {
   updateInputStyling(input, value) {
     input.classList.remove("valid", "invalid");
 
-    if (value.length === 9) {
+    const policy = this.getPolicy();
+    const prepared = this.prepareInput(value);
+    let errorIndex = null;
+    if (prepared.value.length === 9) {
       const result = this.validateCUSIP(value);
       input.classList.add(result.valid ? "valid" : "invalid");
+      errorIndex = result.errorIndex;
+    } else if (prepared.value.length === CUSIPCore.ISIN_LENGTH) {
+      const result = CUSIPCore.validateISIN(value, { policy });
+      input.classList.add(result.valid ? "valid" : "invalid");
+      errorIndex = result.errorIndex;
+    } else {
+      const invalid = CUSIPCore.findInvalidChar(value, { policy });
+      errorIndex = invalid ? invalid.index : null;
     }
+
+    this.underlineInputError(input, prepared, errorIndex);
   }
 
-  displayValidationResult(cusip, container) {
-    const startTime = performance.now();
-    const result = this.validateCUSIP(cusip);
-    const validationTime = performance.now() - startTime;
+  /**
+   * Underlines the character at `errorIndex` (an index into the prepared
+   * value) in the overlay that mirrors the input.
+   */
+  underlineInputError(input, prepared, errorIndex) {
+    const overlay = document.getElementById("inputOverlay");
+    if (!overlay) return;
 
-    this.addToHistory(cusip, result, validationTime);
+    const raw = input.value;
+    if (errorIndex === null || errorIndex === undefined) {
+      overlay.textContent = "";
+      return;
+    }
 
-    const resultHTML = `
-            <div class="result-card ${result.valid ? "valid" : "invalid"}">
-                <div class="result-icon">
+    // The overlay shows the raw value; map back past whatever the policy
+    // stripped (an index past the end underlines the first extra position)
+    const offset =
+      errorIndex < prepared.sourceIndex.length
+        ? prepared.sourceIndex[errorIndex]
+        : raw.length;
+    const bad = document.createElement("span");
+    bad.className = "input-overlay__bad";
+    bad.textContent = raw.charAt(offset) || " ";
+
+    overlay.textContent = raw.slice(0, offset);
+    overlay.appendChild(bad);
+  }
+
+  /**
+   * What the security master says about a valid identifier: its issuer,
+   * ticker, asset class and status, or that it is not listed.
+   */
+  renderSecurityInfo(result) {
+    const { security, unknown } = CUSIPIO.lookupSecurity(
+      result,
+      this.securityMaster
+    );
+
+    if (security) {
+      return `
+                <div class="security-info">
+                    <div class="security-info__issuer">${escapeHTML(
+                      security.issuer || "Unnamed security"
+                    )}</div>
+                    <div class="security-info__meta">${escapeHTML(
+                      [security.ticker, security.assetClass, security.status]
+                        .filter(Boolean)
+                        .join(" · ")
+                    )}</div>
+                </div>
+            `;
+    }
+
+    if (unknown) {
+      return `
+                <div class="result-note master-note">
+                    <i class="fas fa-question-circle"></i>
+                    Passes the checksum but is not in the security master
+                </div>
+            `;
+    }
+
+    return "";
+  }
+
+  /**
+   * Replacement of an identifier retired by a corporate action, from the
+   * loaded CUSIP changes, or a notice of a change still to take effect.
+   */
+  renderChangeInfo(result) {
+    const change = CUSIPIO.findReplacement(result, this.cusipChanges);
+    if (!change) return "";
+
+    const label = result.type === "ISIN" ? "Current ISIN" : "Current CUSIP";
+    return `
+                <div class="result-note change-note${
+                  change.pending ? " pending" : ""
+                }">
                     <i class="fas ${
-                      result.valid ? "fa-check-circle" : "fa-times-circle"
+                      change.pending ? "fa-clock" : "fa-exchange-alt"
+                    }"></i>
+                    ${escapeHTML(changeText(change))}
+                </div>
+                ${
+                  change.pending
+                    ? ""
+                    : this.renderCopyable(label, change.identifier)
+                }
+            `;
+  }
+
+  /**
+   * Error code and 1-based position for a failed result, or "" on success.
+   */
+  renderErrorCode(result) {
+    if (!result.errorCode) return "";
+
+    const position =
+      result.errorIndex !== null && result.errorIndex !== undefined
+        ? ` at position ${result.errorIndex + 1}`
+        : "";
+
+    return `
+                <div class="result-error">
+                    <code>${result.errorCode}</code>${position}
+                </div>
+        `;
+  }
+
+  /**
+   * Which policy ran and whether it changed the input before validation.
+   */
+  renderPolicyNote(result) {
+    if (!result.policy) return "";
+
+    const name = POLICY_LABELS[result.policy.name];
+    const text = result.inputModified
+      ? `${name} policy ${result.normalizations
+          .map((rule) => NORMALIZATION_LABELS[rule])
+          .join(", ")} before validating`
+      : `Validated exactly as entered (${name} policy)`;
+
+    return `
+                <div class="result-note policy-note">
+                    <i class="fas fa-sliders-h"></i> ${text}
+                </div>
+        `;
+  }
+
+  /**
+   * Routes single-view input by length after the policy has prepared it:
+   * 9 = CUSIP, 8 = check digit calculator, 12 = ISIN. Returns false when
+   * the length matches none.
+   */
+  displaySingleResult(value, container) {
+    const { length } = this.prepareInput(value).value;
+
+    if (length === 9) {
+      this.displayValidationResult(value, container);
+    } else if (length === 8) {
+      this.displayCheckDigitResult(value, container);
+    } else if (length === CUSIPCore.ISIN_LENGTH) {
+      this.displayISINResult(value, container);
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  displayValidationResult(value, container) {
+    const startTime = performance.now();
+    const result = this.validateCUSIP(value);
+    const validationTime = performance.now() - startTime;
+    const cusip = result.normalized;
+
+    this.addToHistory(cusip, result, validationTime);
+
+    const suggestions = result.valid
+      ? []
+      : CUSIPCore.suggestCorrections(cusip, { limit: 5 });
+    const isin = result.valid ? this.toISIN(cusip) : null;
+
+    const resultHTML = `
+            <div class="result-card ${result.valid ? "valid" : "invalid"}">
+                <div class="result-icon">
+                    <i class="fas ${
+                      result.valid ? "fa-check-circle" : "fa-times-circle"
                     }"></i>
                 </div>
                 <div class="result-title">${
                   result.valid ? "Valid CUSIP" : "Invalid CUSIP"
                 }</div>
-                <div class="result-subtitle">${cusip}</div>
+                <div class="result-subtitle">${escapeHTML(cusip)}</div>
+                ${this.renderSecurityInfo({ type: "CUSIP", ...result })}
+                ${this.renderChangeInfo({ type: "CUSIP", ...result })}
+                ${this.renderErrorCode(result)}
+                ${this.renderPolicyNote(result)}
                 <div class="result-details">
                     <div class="detail-item">
                         <div class="detail-label">Check Digit</div>
                         <div class="detail-value">${
-                          result.providedCheckDigit
+                          result.providedCheckDigit !== null &&
+                          result.providedCheckDigit !== undefined
+                            ? result.providedCheckDigit
+                            : "-"
                         }</div>
                     </div>
                     <div class="detail-item">
                         <div class="detail-label">Calculated</div>
                         <div class="detail-value">${
-                          result.calculatedCheckDigit
+                          result.calculatedCheckDigit !== undefined
+                            ? result.calculatedCheckDigit
+                            : "-"
                         }</div>
                     </div>
                     <div class="detail-item">
@@ -331,9 +1275,33 @@ class CUSIPValidator {
                     </div>
                     <div class="detail-item">
                         <div class="detail-label">Algorithm Sum</div>
-                        <div class="detail-value">${result.sum}</div>
+                        <div class="detail-value">${
+                          result.sum !== undefined ? result.sum : "-"
+                        }</div>
                     </div>
                 </div>
+                ${
+                  result.breakdown ? this.renderBreakdown(result.breakdown) : ""
+                }
+                ${
+                  result.correctedCUSIP
+                    ? this.renderCopyable(
+                        "Corrected CUSIP",
+                        result.correctedCUSIP
+                      )
+                    : ""
+                }
+                ${this.renderSuggestions(suggestions)}
+                ${result.trace ? this.renderTrace(result, suggestions) : ""}
+                ${
+                  isin
+                    ? isin.valid
+                      ? this.renderCopyable("ISIN", isin.isin)
+                      : `<div class="result-note">${escapeHTML(
+                          isin.error
+                        )}</div>`
+                    : ""
+                }
             </div>
         `;
 
@@ -342,13 +1310,311 @@ class CUSIPValidator {
 
     this.showToast(
       result.valid ? "Validation Complete" : "Validation Failed",
-      result.valid ? `${cusip} is a valid CUSIP` : result.error,
+      result.valid
+        ? `${escapeHTML(cusip)} is a valid CUSIP`
+        : escapeHTML(result.error),
+      result.valid ? "success" : "error"
+    );
+  }
+
+  displayCheckDigitResult(base, container) {
+    const result = CUSIPCore.completeCUSIP(base, {
+      policy: this.getPolicy()
+    });
+
+    if (!result.valid) {
+      container.innerHTML = `
+            <div class="result-card invalid">
+                <div class="result-icon">
+                    <i class="fas fa-times-circle"></i>
+                </div>
+                <div class="result-title">Cannot Calculate Check Digit</div>
+                <div class="result-subtitle">${escapeHTML(result.error)}</div>
+                ${this.renderErrorCode(result)}
+                ${this.renderPolicyNote(result)}
+            </div>
+        `;
+      return;
+    }
+
+    container.innerHTML = `
+            <div class="result-card calculated">
+                <div class="result-icon">
+                    <i class="fas fa-calculator"></i>
+                </div>
+                <div class="result-title">Check Digit: ${
+                  result.checkDigit
+                }</div>
+                <div class="result-subtitle">Calculated from base ${
+                  result.base
+                }</div>
+                ${this.renderPolicyNote(result)}
+                ${this.renderCopyable("Full CUSIP", result.cusip)}
+            </div>
+        `;
+  }
+
+  displayISINResult(isin, container) {
+    const startTime = performance.now();
+    const result = CUSIPCore.validateISIN(isin, { policy: this.getPolicy() });
+    const validationTime = performance.now() - startTime;
+    const extracted = result.valid
+      ? CUSIPCore.isinToCUSIP(result.normalized)
+      : null;
+
+    this.addToHistory(result.normalized, result, validationTime);
+
+    container.innerHTML = `
+            <div class="result-card ${result.valid ? "valid" : "invalid"}">
+                <div class="result-icon">
+                    <i class="fas ${
+                      result.valid ? "fa-check-circle" : "fa-times-circle"
+                    }"></i>
+                </div>
+                <div class="result-title">${
+                  result.valid ? "Valid ISIN" : "Invalid ISIN"
+                }</div>
+                <div class="result-subtitle">${escapeHTML(
+                  result.normalized
+                )}</div>
+                ${this.renderSecurityInfo({ type: "ISIN", ...result })}
+                ${this.renderChangeInfo({ type: "ISIN", ...result })}
+                ${this.renderErrorCode(result)}
+                ${this.renderPolicyNote(result)}
+                <div class="result-details">
+                    <div class="detail-item">
+                        <div class="detail-label">Country</div>
+                        <div class="detail-value">${
+                          result.countryCode
+                            ? escapeHTML(result.countryCode)
+                            : "-"
+                        }</div>
+                    </div>
+                    <div class="detail-item">
+                        <div class="detail-label">Check Digit</div>
+                        <div class="detail-value">${
+                          result.providedCheckDigit !== null &&
+                          result.providedCheckDigit !== undefined
+                            ? result.providedCheckDigit
+                            : "-"
+                        }</div>
+                    </div>
+                    <div class="detail-item">
+                        <div class="detail-label">Calculated</div>
+                        <div class="detail-value">${
+                          result.calculatedCheckDigit !== undefined
+                            ? result.calculatedCheckDigit
+                            : "-"
+                        }</div>
+                    </div>
+                    <div class="detail-item">
+                        <div class="detail-label">Validation Time</div>
+                        <div class="detail-value">${validationTime.toFixed(
+                          2
+                        )}ms</div>
+                    </div>
+                </div>
+                ${
+                  extracted
+                    ? extracted.valid
+                      ? this.renderCopyable("Embedded CUSIP", extracted.cusip)
+                      : `<div class="result-note">${escapeHTML(
+                          extracted.error
+                        )}</div>`
+                    : ""
+                }
+            </div>
+        `;
+
+    this.updateAnalytics(result, validationTime);
+
+    this.showToast(
+      result.valid ? "Validation Complete" : "Validation Failed",
+      result.valid
+        ? `${escapeHTML(result.normalized)} is a valid ISIN`
+        : escapeHTML(result.error),
       result.valid ? "success" : "error"
     );
   }
 
+  toISIN(cusip) {
+    return CUSIPCore.cusipToISIN(cusip, {
+      countryCode: this.settings.isinCountry,
+      cinsCountryCode: this.settings.cinsCountry
+    });
+  }
+
+  renderCopyable(label, cusip) {
+    return `
+                <div class="result-correction">
+                    <span class="result-correction__label">${label}</span>
+                    <span class="result-correction__code">${cusip}</span>
+                    <button class="copy-btn" data-copy="${cusip}" title="Copy to clipboard">
+                        <i class="fas fa-copy"></i> Copy
+                    </button>
+                </div>
+        `;
+  }
+
+  renderBreakdown(breakdown) {
+    const tags = [
+      `<span class="cusip-tag ${breakdown.issueClass}">${
+        ISSUE_CLASS_LABELS[breakdown.issueClass]
+      }</span>`
+    ];
+
+    if (breakdown.cins) {
+      tags.push(
+        `<span class="cusip-tag cins">CINS &middot; ${breakdown.cins.region}</span>`
+      );
+    }
+
+    if (breakdown.privatePlacement) {
+      tags.push(
+        `<span class="cusip-tag ppn">Private placement (position ${breakdown.specialCharPositions.join(
+          ", "
+        )})</span>`
+      );
+    }
+
+    return `
+                <div class="cusip-breakdown">
+                    <div class="cusip-breakdown__segments">
+                        <div class="cusip-segment issuer">
+                            <span class="cusip-segment__code">${
+                              breakdown.issuer
+                            }</span>
+                            <span class="cusip-segment__label">Issuer</span>
+                        </div>
+                        <div class="cusip-segment issue">
+                            <span class="cusip-segment__code">${
+                              breakdown.issue
+                            }</span>
+                            <span class="cusip-segment__label">Issue</span>
+                        </div>
+                        <div class="cusip-segment check">
+                            <span class="cusip-segment__code">${
+                              breakdown.checkDigit
+                            }</span>
+                            <span class="cusip-segment__label">Check</span>
+                        </div>
+                    </div>
+                    <div class="cusip-breakdown__tags">${tags.join("")}</div>
+                </div>
+        `;
+  }
+
+  /**
+   * Per-position walkthrough of the checksum. Positions touched by the
+   * suggested corrections are highlighted as the likely cause of a mismatch.
+   */
+  renderTrace(result, suggestions) {
+    // Generic substitutions fit almost any position, so only fall back to
+    // them when there is no confusion, transposition or check digit fix
+    const likely = suggestions.filter((s) => s.type !== "substitution");
+    const suspects = new Set();
+    (likely.length > 0 ? likely : suggestions).forEach((s) =>
+      s.positions.forEach((p) => suspects.add(p))
+    );
+
+    const checkMismatch =
+      result.providedCheckDigit !== result.calculatedCheckDigit;
+    const chars = result.normalized.split("");
+    const formula = `(10 - (${result.sum} mod 10)) mod 10 = ${
+      result.calculatedCheckDigit
+    } ${checkMismatch ? `&ne; ${chars[8]}` : "&check;"}`;
+
+    const rows = result.trace
+      .map(
+        (step) => `
+                            <tr class="${
+                              suspects.has(step.position) ? "suspect" : ""
+                            }" data-position="${step.position}">
+                                <td>${step.position}</td>
+                                <td class="trace-table__char">${step.char}</td>
+                                <td>${step.value}</td>
+                                <td>${step.doubled ? "&times;2" : ""}</td>
+                                <td>${step.weighted}</td>
+                                <td>${step.contribution}</td>
+                                <td>${step.runningSum}</td>
+                            </tr>
+                        `
+      )
+      .join("");
+
+    return `
+                <details class="trace" ${result.valid ? "" : "open"}>
+                    <summary><i class="fas fa-list-ol"></i> Algorithm walkthrough</summary>
+                    <div class="trace__code">
+                        ${chars
+                          .map(
+                            (char, i) =>
+                              `<span class="trace__char ${
+                                suspects.has(i + 1) ||
+                                (i === 8 && checkMismatch)
+                                  ? "suspect"
+                                  : ""
+                              }" data-position="${i + 1}">${char}</span>`
+                          )
+                          .join("")}
+                    </div>
+                    <table class="trace-table">
+                        <thead>
+                            <tr>
+                                <th>Pos</th>
+                                <th>Char</th>
+                                <th>Value</th>
+                                <th>Double</th>
+                                <th>Weighted</th>
+                                <th>Digit Sum</th>
+                                <th>Running Sum</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows}
+                            <tr class="trace-table__check ${
+                              checkMismatch ? "suspect" : ""
+                            }" data-position="9">
+                                <td>9</td>
+                                <td class="trace-table__char">${chars[8]}</td>
+                                <td colspan="5">${formula}</td>
+                            </tr>
+                        </tbody>
+                    </table>
+                    ${
+                      checkMismatch && suspects.size > 0
+                        ? `<p class="trace__note">Highlighted positions are the ones the suggested corrections change.</p>`
+                        : ""
+                    }
+                </details>
+        `;
+  }
+
+  renderSuggestions(suggestions) {
+    if (suggestions.length === 0) return "";
+
+    return `
+                <div class="result-suggestions">
+                    <div class="result-suggestions__title">Did you mean?</div>
+                    <div class="result-suggestions__list">
+                        ${suggestions
+                          .map(
+                            (s) => `
+                        <button class="suggestion-chip ${s.type}" data-use="${s.cusip}" title="${s.description}">
+                            <span class="suggestion-chip__code">${s.cusip}</span>
+                            <span class="suggestion-chip__type">${s.type}</span>
+                        </button>
+                        `
+                          )
+                          .join("")}
+                    </div>
+                </div>
+        `;
+  }
+
   displayPartialResult(value, container) {
-    const remaining = 9 - value.length;
+    const target = value.length < 9 ? 9 : CUSIPCore.ISIN_LENGTH;
+    const remaining = target - value.length;
     container.innerHTML = `
             <div class="result-card">
                 <div class="result-icon">
@@ -357,7 +1623,7 @@ class CUSIPValidator {
                 <div class="result-title">Enter more characters</div>
                 <div class="result-subtitle">${remaining} more character${
       remaining > 1 ? "s" : ""
-    } needed</div>
+    } needed${target === CUSIPCore.ISIN_LENGTH ? " for an ISIN" : ""}</div>
             </div>
         `;
   }
@@ -372,194 +1638,2900 @@ class CUSIPValidator {
   }
 
   /**
-   * Batch Processing Functions
+   * File Import Functions
    */
-  async processBatch() {
-    const textarea = document.getElementById("batchInput");
-    const processBtn = document.getElementById("processBatch");
-    const resultsContainer = document.getElementById("batchResults");
+  setupFileImport() {
+    const dropTarget = document.querySelector(".batch-input");
+    const fileInput = document.getElementById("batchFile");
+    const preview = document.getElementById("importPreview");
 
-    if (!textarea || !processBtn || !resultsContainer) return;
+    if (!dropTarget || !fileInput || !preview) {
+      console.error("File import elements not found!");
+      return;
+    }
 
-    const cusips = textarea.value
-      .split("\n")
-      .map((line) => line.trim())
-      .filter((line) => line.length > 0);
+    fileInput.addEventListener("change", () => {
+      if (fileInput.files.length > 0) this.importFile(fileInput.files[0]);
+      // Allow picking the same file again
+      fileInput.value = "";
+    });
 
-    if (cusips.length === 0) {
+    dropTarget.addEventListener("dragover", (e) => {
+      e.preventDefault();
+      dropTarget.classList.add("dragging");
+    });
+    dropTarget.addEventListener("dragleave", (e) => {
+      if (!dropTarget.contains(e.relatedTarget)) {
+        dropTarget.classList.remove("dragging");
+      }
+    });
+    dropTarget.addEventListener("drop", (e) => {
+      e.preventDefault();
+      dropTarget.classList.remove("dragging");
+      const file = e.dataTransfer.files[0];
+      if (file) this.importFile(file);
+    });
+
+    // Preview controls are re-rendered, so listen on the panel
+    preview.addEventListener("change", (e) => {
+      if (!this.pendingImport) return;
+
+      if (e.target.id === "importColumn") {
+        this.pendingImport.column = Number(e.target.value);
+      } else if (e.target.id === "importHasHeader") {
+        this.pendingImport.hasHeader = e.target.checked;
+      }
+      this.renderImportPreview();
+    });
+    preview.addEventListener("click", (e) => {
+      const action = e.target.closest("[data-import]");
+      if (!action) return;
+
+      if (action.dataset.import === "confirm") {
+        this.confirmImport();
+      } else {
+        this.closeImportPreview();
+      }
+    });
+  }
+
+  readFile(file, as) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      if (as === "arrayBuffer") {
+        reader.readAsArrayBuffer(file);
+      } else {
+        reader.readAsText(file);
+      }
+    });
+  }
+
+  /**
+   * Rows of a CSV, TSV or XLSX file as arrays of strings. XLSX needs the
+   * SheetJS library (loaded from the CDN); only the first sheet is read.
+   */
+  async readRows(file) {
+    const extension = file.name.split(".").pop().toLowerCase();
+
+    if (extension === "xlsx" || extension === "xls") {
+      if (typeof XLSX === "undefined") {
+        throw new Error("Spreadsheet support is not available");
+      }
+      const workbook = XLSX.read(await this.readFile(file, "arrayBuffer"), {
+        type: "array"
+      });
+      const sheet = workbook.Sheets[workbook.SheetNames[0]];
+      // Formatted text, so identifiers read the way Excel shows them
+      return XLSX.utils
+        .sheet_to_json(sheet, { header: 1, raw: false, defval: "" })
+        .map((row) => row.map((cell) => String(cell)));
+    }
+
+    const text = await this.readFile(file, "text");
+    return CUSIPIO.parseCSV(text, {
+      delimiter: CUSIPIO.detectDelimiter(text, extension)
+    });
+  }
+
+  async importFile(file) {
+    let rows;
+    try {
+      rows = await this.readRows(file);
+    } catch (error) {
+      console.error("File import failed:", error);
+      this.showToast("Import Failed", escapeHTML(error.message), "error");
+      return;
+    }
+
+    rows = rows.filter((row) => row.some((cell) => cell.trim().length > 0));
+    if (rows.length === 0) {
       this.showToast(
-        "No Data",
-        "Please enter some CUSIPs to process",
+        "Empty File",
+        `${escapeHTML(file.name)} has no rows`,
         "warning"
       );
       return;
     }
 
-    if (cusips.length > 1000) {
-      this.showToast("Too Many Items", "Maximum 1000 CUSIPs allowed", "error");
+    const policy = this.getPolicy();
+    const isIdentifier = (cell) =>
+      CUSIPCore.validateIdentifier(cell, { policy, repairSpreadsheet: true })
+        .valid;
+    const hasHeader = !rows[0].some(isIdentifier);
+
+    this.pendingImport = {
+      fileName: file.name,
+      rows,
+      hasHeader,
+      column: this.guessIdentifierColumn(rows, hasHeader, isIdentifier)
+    };
+    this.renderImportPreview();
+  }
+
+  /**
+   * Column holding the identifiers: a header that names one, otherwise the
+   * column with the most valid identifiers in the first rows.
+   */
+  guessIdentifierColumn(rows, hasHeader, isIdentifier) {
+    if (hasHeader) {
+      const named = rows[0].findIndex((name) => IDENTIFIER_HEADER.test(name));
+      if (named !== -1) return named;
+    }
+
+    const sample = rows.slice(hasHeader ? 1 : 0, 51);
+    const width = Math.max(...rows.map((row) => row.length));
+    let best = 0;
+    let bestCount = 0;
+
+    for (let column = 0; column < width; column++) {
+      const count = sample.filter((row) => isIdentifier(row[column] || ""))
+        .length;
+      if (count > bestCount) {
+        best = column;
+        bestCount = count;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Column names for an import; generated when there is no header row and
+   * made unique so each can key the carried-through values.
+   */
+  importHeaders({ rows, hasHeader }) {
+    const width = Math.max(...rows.map((row) => row.length));
+    const seen = {};
+
+    return Array.from({ length: width }, (_, i) => {
+      const name =
+        (hasHeader && (rows[0][i] || "").trim()) || `Column ${i + 1}`;
+      seen[name] = (seen[name] || 0) + 1;
+      return seen[name] > 1 ? `${name} (${seen[name]})` : name;
+    });
+  }
+
+  renderImportPreview() {
+    const preview = document.getElementById("importPreview");
+    if (!preview || !this.pendingImport) return;
+
+    const { fileName, rows, hasHeader, column } = this.pendingImport;
+    const headers = this.importHeaders(this.pendingImport);
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+    const cell = (value, i) =>
+      `<td class="${i === column ? "selected" : ""}">${escapeHTML(
+        value || ""
+      )}</td>`;
+
+    preview.innerHTML = `
+            <div class="import-preview__header">
+                <strong><i class="fas fa-file-alt"></i> ${escapeHTML(
+                  fileName
+                )}</strong>
+                <span>${dataRows.length} row${
+      dataRows.length !== 1 ? "s" : ""
+    }</span>
+            </div>
+            <div class="import-preview__controls">
+                <label for="importColumn">Identifier column</label>
+                <select id="importColumn" class="settings-select">
+                    ${headers
+                      .map(
+                        (name, i) =>
+                          `<option value="${i}" ${
+                            i === column ? "selected" : ""
+                          }>${escapeHTML(name)}</option>`
+                      )
+                      .join("")}
+                </select>
+                <label class="policy-rule">
+                    <input type="checkbox" id="importHasHeader" ${
+                      hasHeader ? "checked" : ""
+                    }> First row is a header
+                </label>
+            </div>
+            <div class="import-preview__table">
+                <table class="import-table">
+                    <thead>
+                        <tr>${headers
+                          .map(
+                            (name, i) =>
+                              `<th class="${
+                                i === column ? "selected" : ""
+                              }">${escapeHTML(name)}</th>`
+                          )
+                          .join("")}</tr>
+                    </thead>
+                    <tbody>
+                        ${dataRows
+                          .slice(0, 5)
+                          .map(
+                            (row) =>
+                              `<tr>${headers
+                                .map((_, i) => cell(row[i], i))
+                                .join("")}</tr>`
+                          )
+                          .join("")}
+                    </tbody>
+                </table>
+            </div>
+            <div class="import-preview__actions">
+                <button class="btn btn--secondary" data-import="cancel">Cancel</button>
+                <button class="btn btn--primary" data-import="confirm">
+                    <i class="fas fa-check"></i> Import
+                </button>
+            </div>
+        `;
+    preview.classList.add("visible");
+  }
+
+  closeImportPreview() {
+    const preview = document.getElementById("importPreview");
+    if (preview) {
+      preview.classList.remove("visible");
+      preview.innerHTML = "";
+    }
+    this.pendingImport = null;
+  }
+
+  /**
+   * Puts the chosen column into the batch textarea (one identifier per
+   * line) and keeps the other columns, row for row, for the results.
+   */
+  confirmImport() {
+    const textarea = document.getElementById("batchInput");
+    if (!textarea || !this.pendingImport) return;
+
+    const { fileName, rows, hasHeader, column } = this.pendingImport;
+    const headers = this.importHeaders(this.pendingImport);
+    const entries = (hasHeader ? rows.slice(1) : rows)
+      .map((row) => ({
+        // A line break inside a cell would split it across lines
+        identifier: (row[column] || "").replace(/[\r\n]+/g, " "),
+        row
+      }))
+      .filter((entry) => entry.identifier.trim().length > 0);
+
+    const extras = entries.map(({ row }) => {
+      const extra = {};
+      headers.forEach((name, i) => {
+        if (i !== column) extra[name] = row[i] || "";
+      });
+      return extra;
+    });
+
+    this.batchImport = {
+      fileName,
+      column: headers[column],
+      extras,
+      text: entries.map((entry) => entry.identifier).join("\n")
+    };
+    this.closeImportPreview();
+
+    textarea.value = this.batchImport.text;
+    textarea.dispatchEvent(new Event("input"));
+    this.updateImportInfo();
+
+    this.showToast(
+      "File Imported",
+      `${entries.length} identifiers from ${escapeHTML(fileName)}`,
+      "success"
+    );
+  }
+
+  updateImportInfo() {
+    const info = document.getElementById("batchImportInfo");
+    if (!info) return;
+
+    if (!this.batchImport) {
+      info.innerHTML = "";
       return;
     }
 
-    // Show loading state
-    processBtn.innerHTML =
-      '<i class="fas fa-spinner fa-spin"></i> Processing...';
-    processBtn.disabled = true;
-    resultsContainer.innerHTML = '<div class="loading"></div>';
+    const { fileName, column, extras } = this.batchImport;
+    const carried = extras.length > 0 ? Object.keys(extras[0]).length : 0;
+    info.innerHTML = `
+            <i class="fas fa-file-import"></i>
+            ${escapeHTML(fileName)} &middot; column ${escapeHTML(column)}
+            &middot; ${carried} other column${
+      carried !== 1 ? "s" : ""
+    } carried through
+        `;
+  }
 
-    // Process in chunks
-    const chunkSize = 50;
-    const results = [];
+  /**
+   * Security Master Functions
+   */
+  async loadSecurityMaster() {
+    try {
+      const securities = await CUSIPStore.getAll("securities");
+      this.securityMaster = new Map(securities.map((s) => [s.cusip, s]));
+    } catch (error) {
+      console.warn("Failed to load security master:", error);
+    }
+    this.updateMasterStatus();
+    this.refreshEnrichment();
+  }
 
-    for (let i = 0; i < cusips.length; i += chunkSize) {
-      const chunk = cusips.slice(i, i + chunkSize);
-      const chunkResults = await this.processChunk(chunk);
-      results.push(...chunkResults);
+  /**
+   * Replaces the security master with a CSV/TSV or JSON reference file. It
+   * is kept in IndexedDB; where that is unavailable it lasts for the
+   * session only.
+   */
+  async importSecurityMaster(file) {
+    const extension = file.name.split(".").pop().toLowerCase();
 
-      const progress = (((i + chunk.length) / cusips.length) * 100).toFixed(0);
-      resultsContainer.innerHTML = `<div class="progress-bar"><div class="progress-fill" style="width: ${progress}%"></div></div>`;
+    let parsed;
+    try {
+      const text = await this.readFile(file, "text");
+      parsed = CUSIPIO.parseSecurityMaster(text, {
+        format: extension === "json" ? "json" : "csv",
+        delimiter: CUSIPIO.detectDelimiter(text, extension)
+      });
+    } catch (error) {
+      console.error("Security master import failed:", error);
+      this.showToast("Import Failed", escapeHTML(error.message), "error");
+      return;
     }
 
-    this.displayBatchResults(results);
-    this.updateBatchSummary(results);
+    const { securities, skipped } = parsed;
+    if (securities.length === 0) {
+      this.showToast(
+        "Import Failed",
+        `${escapeHTML(file.name)} has no rows with a valid CUSIP`,
+        "error"
+      );
+      return;
+    }
+
+    let saved = true;
+    try {
+      await CUSIPStore.replaceAll("securities", securities);
+    } catch (error) {
+      console.warn("Failed to save security master:", error);
+      saved = false;
+    }
+
+    this.securityMaster = new Map(securities.map((s) => [s.cusip, s]));
+    this.settings.masterSource = { fileName: file.name, loadedAt: Date.now() };
+    this.saveSettings();
+    this.updateMasterStatus();
+    this.refreshEnrichment();
+
+    this.showToast(
+      "Security Master Loaded",
+      `${securities.length.toLocaleString()} ${
+        securities.length !== 1 ? "securities" : "security"
+      } from ${escapeHTML(file.name)}${
+        skipped > 0
+          ? ` (${skipped.toLocaleString()} row${
+              skipped !== 1 ? "s" : ""
+            } without a valid CUSIP skipped)`
+          : ""
+      }${saved ? "" : "; not saved, this session only"}`,
+      saved ? "success" : "warning"
+    );
+  }
+
+  async clearSecurityMaster() {
+    try {
+      await CUSIPStore.clear("securities");
+    } catch (error) {
+      console.warn("Failed to clear security master:", error);
+    }
+
+    this.securityMaster = new Map();
+    this.settings.masterSource = null;
+    this.saveSettings();
+    this.updateMasterStatus();
+    this.refreshEnrichment();
+  }
+
+  updateMasterStatus() {
+    const status = document.getElementById("masterStatus");
+    const clearBtn = document.getElementById("clearMaster");
+    if (!status || !clearBtn) return;
+
+    const size = this.securityMaster.size;
+    const source = this.settings.masterSource;
+    clearBtn.disabled = size === 0;
+    status.textContent =
+      size === 0
+        ? "None loaded"
+        : `${size.toLocaleString()} ${size !== 1 ? "securities" : "security"}${
+            source
+              ? ` from ${source.fileName}, ${new Date(
+                  source.loadedAt
+                ).toLocaleDateString()}`
+              : ""
+          }`;
+  }
+
+  /**
+   * CUSIP Change Functions
+   */
+  async loadCUSIPChanges() {
+    try {
+      const changes = await CUSIPStore.getAll("cusipChanges");
+      this.cusipChanges = new Map(changes.map((c) => [c.oldCusip, c]));
+    } catch (error) {
+      console.warn("Failed to load CUSIP changes:", error);
+    }
+    this.updateChangesStatus();
+    this.refreshEnrichment();
+  }
+
+  /**
+   * Replaces the old -> new CUSIP mapping with a CSV/TSV or JSON file of
+   * corporate-action changes. Stored like the security master.
+   */
+  async importCUSIPChanges(file) {
+    const extension = file.name.split(".").pop().toLowerCase();
+
+    let parsed;
+    try {
+      const text = await this.readFile(file, "text");
+      parsed = CUSIPIO.parseCUSIPChanges(text, {
+        format: extension === "json" ? "json" : "csv",
+        delimiter: CUSIPIO.detectDelimiter(text, extension)
+      });
+    } catch (error) {
+      console.error("CUSIP change import failed:", error);
+      this.showToast("Import Failed", escapeHTML(error.message), "error");
+      return;
+    }
+
+    const { changes, skipped } = parsed;
+    if (changes.length === 0) {
+      this.showToast(
+        "Import Failed",
+        `${escapeHTML(file.name)} has no rows with a valid old and new CUSIP`,
+        "error"
+      );
+      return;
+    }
+
+    let saved = true;
+    try {
+      await CUSIPStore.replaceAll("cusipChanges", changes);
+    } catch (error) {
+      console.warn("Failed to save CUSIP changes:", error);
+      saved = false;
+    }
+
+    this.cusipChanges = new Map(changes.map((c) => [c.oldCusip, c]));
+    this.settings.changesSource = { fileName: file.name, loadedAt: Date.now() };
+    this.saveSettings();
+    this.updateChangesStatus();
+    this.refreshEnrichment();
+
+    this.showToast(
+      "CUSIP Changes Loaded",
+      `${changes.length.toLocaleString()} change${
+        changes.length !== 1 ? "s" : ""
+      } from ${escapeHTML(file.name)}${
+        skipped > 0
+          ? ` (${skipped.toLocaleString()} row${
+              skipped !== 1 ? "s" : ""
+            } without valid CUSIPs or date skipped)`
+          : ""
+      }${saved ? "" : "; not saved, this session only"}`,
+      saved ? "success" : "warning"
+    );
+  }
+
+  async clearCUSIPChanges() {
+    try {
+      await CUSIPStore.clear("cusipChanges");
+    } catch (error) {
+      console.warn("Failed to clear CUSIP changes:", error);
+    }
+
+    this.cusipChanges = new Map();
+    this.settings.changesSource = null;
+    this.saveSettings();
+    this.updateChangesStatus();
+    this.refreshEnrichment();
+  }
+
+  updateChangesStatus() {
+    const status = document.getElementById("changesStatus");
+    const clearBtn = document.getElementById("clearChanges");
+    if (!status || !clearBtn) return;
+
+    const size = this.cusipChanges.size;
+    const source = this.settings.changesSource;
+    clearBtn.disabled = size === 0;
+    status.textContent =
+      size === 0
+        ? "None loaded"
+        : `${size.toLocaleString()} change${size !== 1 ? "s" : ""}${
+            source
+              ? ` from ${source.fileName}, ${new Date(
+                  source.loadedAt
+                ).toLocaleDateString()}`
+              : ""
+          }`;
+  }
+
+  /**
+   * Attaches `security` (the master entry), `unknownToMaster` and `change`
+   * (a replacement from the CUSIP changes) to batch results, as
+   * CUSIPIO.lookupSecurity() and CUSIPIO.findReplacement() find them.
+   */
+  enrichResults(results) {
+    results.forEach((result) => {
+      const { security, unknown } = CUSIPIO.lookupSecurity(
+        result,
+        this.securityMaster
+      );
+      result.security = security;
+      result.unknownToMaster = unknown;
+      result.change = CUSIPIO.findReplacement(result, this.cusipChanges);
+    });
+  }
+
+  /**
+   * Re-applies the reference data after it changes: batch results are
+   * enriched again and the single result is redrawn.
+   */
+  refreshEnrichment() {
+    if (this.lastBatchResults.length > 0) {
+      this.enrichResults(this.lastBatchResults);
+      this.displayBatchResults(this.lastBatchResults);
+    }
+
+    const input = document.getElementById("cusipInput");
+    if (input && input.value.trim().length > 0) {
+      input.dispatchEvent(new Event("input"));
+    }
+  }
+
+  /**
+   * Batch Processing Functions
+   */
+  async processBatch() {
+    const textarea = document.getElementById("batchInput");
+    const processBtn = document.getElementById("processBatch");
+    const resultsContainer = document.getElementById("batchResults");
+
+    if (!textarea || !processBtn || !resultsContainer) return;
+
+    // Lines are kept as typed; the repair pass and the validation policy
+    // decide what to clean
+    const cusips = [];
+    const lineNumbers = [];
+    textarea.value.split(/\r?\n/).forEach((line, i) => {
+      if (line.trim().length > 0) {
+        cusips.push(line);
+        lineNumbers.push(i + 1);
+      }
+    });
+
+    if (cusips.length === 0) {
+      this.showToast(
+        "No Data",
+        "Please enter some CUSIPs to process",
+        "warning"
+      );
+      return;
+    }
+
+    // Show loading state
+    processBtn.innerHTML =
+      '<i class="fas fa-spinner fa-spin"></i> Processing...';
+    processBtn.disabled = true;
+    this.renderBatchProgress(resultsContainer, cusips.length);
+
+    let run;
+    try {
+      run = await this.runBatch(
+        cusips,
+        {
+          policy: this.getPolicy(),
+          repairSpreadsheet: this.settings.repairSpreadsheet
+        },
+        (processed, total) => this.updateBatchProgress(processed, total)
+      );
+    } catch (error) {
+      console.error("Batch processing failed:", error);
+      this.showToast("Batch Failed", error.message || String(error), "error");
+      resultsContainer.innerHTML = "";
+      processBtn.innerHTML = '<i class="fas fa-play"></i> Process All';
+      processBtn.disabled = false;
+      return;
+    }
+
+    const { results, cancelled } = run;
+
+    results.forEach((result, i) => {
+      result.line = lineNumbers[i];
+    });
+
+    // Carry the other columns of an imported file through to the results
+    if (this.batchImport) {
+      results.forEach((result, i) => {
+        result.extra = this.batchImport.extras[i];
+      });
+    }
+
+    this.enrichResults(results);
+    this.markDuplicates(results);
+    this.updateErrorCodeFilter(results);
+    this.displayBatchResults(results);
+    this.updateBatchSummary(results);
+
+    processBtn.innerHTML = '<i class="fas fa-play"></i> Process All';
+    processBtn.disabled = false;
+
+    this.lastBatchResults = results;
+    this.currentRun = this.saveBatchRun(results, {
+      source: this.batchSourceLabel(textarea.value),
+      input: textarea.value,
+      cancelled
+    });
+
+    if (cancelled) {
+      this.showToast(
+        "Batch Cancelled",
+        `Stopped after ${results.length.toLocaleString()} of ${cusips.length.toLocaleString()} identifiers; partial results shown`,
+        "warning"
+      );
+    } else {
+      const repeats = results.filter((r) => r.duplicate && !r.duplicate.first)
+        .length;
+      this.showToast(
+        "Batch Complete",
+        `Processed ${results.length.toLocaleString()} identifiers${
+          repeats > 0 ? `, ${repeats.toLocaleString()} duplicates` : ""
+        }`,
+        "success"
+      );
+    }
+  }
+
+  /**
+   * Validates batch lines in batch-worker.js, or on the main thread in
+   * chunks where workers are unavailable (such as pages opened from
+   * file://). Resolves with { results, cancelled }; `onProgress` is called
+   * with (processed, total) as results arrive. While a run is going,
+   * this.batchControl has its pause(), resume() and cancel().
+   */
+  async runBatch(lines, options, onProgress) {
+    const worker = this.createBatchWorker();
+
+    if (worker) {
+      try {
+        return await this.runBatchInWorker(worker, lines, options, onProgress);
+      } catch (error) {
+        console.warn(
+          "Batch worker failed, validating on the main thread:",
+          error
+        );
+      }
+    }
+
+    return this.runBatchOnMainThread(lines, options, onProgress);
+  }
+
+  createBatchWorker() {
+    if (typeof Worker === "undefined") return null;
+
+    try {
+      return new Worker("batch-worker.js");
+    } catch (error) {
+      console.warn("Batch worker unavailable:", error);
+      return null;
+    }
+  }
+
+  runBatchInWorker(worker, lines, options, onProgress) {
+    return new Promise((resolve, reject) => {
+      const results = [];
+      const finish = (settle) => {
+        worker.terminate();
+        this.batchControl = null;
+        settle();
+      };
+
+      worker.onmessage = (event) => {
+        const message = event.data;
+
+        if (message.type === "progress") {
+          message.results.forEach((result) => results.push(result));
+          onProgress(message.processed, message.total);
+        } else if (message.type === "done") {
+          finish(() => resolve({ results, cancelled: false }));
+        } else if (message.type === "cancelled") {
+          finish(() => resolve({ results, cancelled: true }));
+        }
+      };
+
+      worker.onerror = (event) => {
+        event.preventDefault();
+        finish(() => reject(new Error(event.message || "Batch worker error")));
+      };
+
+      this.batchControl = {
+        pause: () => worker.postMessage({ type: "pause" }),
+        resume: () => worker.postMessage({ type: "resume" }),
+        cancel: () => worker.postMessage({ type: "cancel" })
+      };
+
+      worker.postMessage({ type: "start", lines, options });
+    });
+  }
+
+  async runBatchOnMainThread(lines, options, onProgress) {
+    const results = [];
+    const state = { paused: false, cancelled: false, wake: null };
+    const wake = () => {
+      if (state.wake) state.wake();
+      state.wake = null;
+    };
+
+    this.batchControl = {
+      pause: () => {
+        state.paused = true;
+      },
+      resume: () => {
+        state.paused = false;
+        wake();
+      },
+      cancel: () => {
+        state.cancelled = true;
+        wake();
+      }
+    };
+
+    for (let i = 0; i < lines.length; i += MAIN_THREAD_CHUNK) {
+      // Yield so the page stays responsive and the controls can be clicked
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      if (state.paused && !state.cancelled) {
+        await new Promise((resolve) => {
+          state.wake = resolve;
+        });
+      }
+      if (state.cancelled) break;
+
+      lines
+        .slice(i, i + MAIN_THREAD_CHUNK)
+        .forEach((line) => results.push(CUSIPIO.validateLine(line, options)));
+      onProgress(results.length, lines.length);
+    }
+
+    this.batchControl = null;
+    return { results, cancelled: state.cancelled };
+  }
+
+  /**
+   * Batch progress panel. Rendered once per run; updateBatchProgress() only
+   * touches the bar width and the stats text.
+   */
+  renderBatchProgress(container, total) {
+    this.batchRun = {
+      startTime: performance.now(),
+      pausedAt: null,
+      pausedTime: 0,
+      processed: 0,
+      cancelling: false
+    };
+
+    container.innerHTML = `
+            <div class="batch-progress">
+                <div class="progress-bar">
+                    <div class="progress-fill" id="batchProgressFill" style="width: 0%"></div>
+                </div>
+                <div class="batch-progress__footer">
+                    <span class="batch-progress__stats" id="batchProgressStats">0 / ${total.toLocaleString()}</span>
+                    <div class="batch-progress__controls">
+                        <button class="btn btn--secondary" id="batchPause">
+                            <i class="fas fa-pause"></i> Pause
+                        </button>
+                        <button class="btn btn--secondary" id="batchCancel">
+                            <i class="fas fa-stop"></i> Cancel
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+    const pauseBtn = document.getElementById("batchPause");
+    const cancelBtn = document.getElementById("batchCancel");
+    const stats = document.getElementById("batchProgressStats");
+
+    pauseBtn.addEventListener("click", () => {
+      if (!this.batchControl) return;
+      const run = this.batchRun;
+
+      if (run.pausedAt === null) {
+        this.batchControl.pause();
+        run.pausedAt = performance.now();
+        pauseBtn.innerHTML = '<i class="fas fa-play"></i> Resume';
+      } else {
+        run.pausedTime += performance.now() - run.pausedAt;
+        run.pausedAt = null;
+        this.batchControl.resume();
+        pauseBtn.innerHTML = '<i class="fas fa-pause"></i> Pause';
+      }
+      this.updateBatchProgress(run.processed, total);
+    });
+
+    cancelBtn.addEventListener("click", () => {
+      if (!this.batchControl) return;
+      this.batchControl.cancel();
+      this.batchRun.cancelling = true;
+      pauseBtn.disabled = true;
+      cancelBtn.disabled = true;
+      stats.textContent = "Cancelling...";
+    });
+  }
+
+  /**
+   * Throughput leaves out time spent paused; the ETA assumes it holds.
+   */
+  updateBatchProgress(processed, total) {
+    const fill = document.getElementById("batchProgressFill");
+    const stats = document.getElementById("batchProgressStats");
+    const run = this.batchRun;
+    if (!fill || !stats || !run || run.cancelling) return;
+
+    const now = performance.now();
+    const paused =
+      run.pausedTime + (run.pausedAt !== null ? now - run.pausedAt : 0);
+    const elapsed = (now - run.startTime - paused) / 1000;
+    const rate = elapsed > 0 ? processed / elapsed : 0;
+    const eta = rate > 0 ? (total - processed) / rate : 0;
+    let status =
+      processed < total ? `ETA ${this.formatDuration(eta)}` : "Finishing...";
+    if (run.pausedAt !== null) status = "Paused";
+
+    run.processed = processed;
+    fill.style.width = `${((processed / total) * 100).toFixed(1)}%`;
+    stats.textContent = `${processed.toLocaleString()} / ${total.toLocaleString()} · ${Math.round(
+      rate
+    ).toLocaleString()}/s · ${status}`;
+  }
+
+  formatDuration(seconds) {
+    const total = Math.ceil(seconds);
+    if (total < 60) return `${total}s`;
+
+    const minutes = Math.floor(total / 60);
+    const rest = String(total % 60).padStart(2, "0");
+    return minutes < 60
+      ? `${minutes}m ${rest}s`
+      : `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(
+          2,
+          "0"
+        )}m`;
+  }
+
+  /**
+   * Batch results grid. Filters and sorting produce the row list; only the
+   * rows in view are rendered (renderBatchWindow) so large runs stay fast.
+   */
+  displayBatchResults(results) {
+    const container = document.getElementById("batchResults");
+    if (!container) return;
+
+    this.batchGrid = null;
+
+    if (results.length === 0) {
+      container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-inbox"></i>
+                    <p>No results to display</p>
+                </div>
+            `;
+      return;
+    }
+
+    const query = this.batchView.search.trim().toLowerCase();
+    const visible = results.filter((result) =>
+      this.matchesBatchView(result, query)
+    );
+
+    if (visible.length === 0) {
+      container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-filter"></i>
+                    <p>No results match the current filter</p>
+                </div>
+            `;
+      return;
+    }
+
+    this.sortBatchResults(visible);
+
+    const rows =
+      this.batchView.groupBy === "none"
+        ? visible
+        : this.groupBatchRows(visible, this.batchView.groupBy);
+    this.batchGrid = { rows, first: -1, last: -1, frame: null };
+
+    const { sortKey, sortDir } = this.batchView;
+    container.innerHTML = `
+            <div class="batch-grid" role="table" aria-rowcount="${
+              visible.length
+            }">
+                <div class="batch-grid__header" role="row">
+                    ${BATCH_COLUMNS.map(
+                      (column) => `
+                        <button class="batch-grid__sort${
+                          column.key === sortKey ? " active" : ""
+                        }" data-sort="${
+                        column.key
+                      }" role="columnheader" aria-sort="${
+                        column.key !== sortKey
+                          ? "none"
+                          : sortDir === "asc"
+                          ? "ascending"
+                          : "descending"
+                      }"${column.title ? ` title="${column.title}"` : ""}>
+                            ${column.label}
+                            ${
+                              column.key === sortKey
+                                ? `<i class="fas fa-sort-${
+                                    sortDir === "asc" ? "up" : "down"
+                                  }"></i>`
+                                : ""
+                            }
+                        </button>
+                    `
+                    ).join("")}
+                </div>
+                <div class="batch-grid__body" id="batchGridBody" style="max-height: ${BATCH_GRID_HEIGHT}px">
+                    <div class="batch-grid__spacer" style="height: ${
+                      rows.length * BATCH_ROW_HEIGHT
+                    }px">
+                        <div class="batch-grid__window" id="batchGridWindow"></div>
+                    </div>
+                </div>
+                <div class="batch-grid__footer">
+                    ${
+                      visible.length === results.length
+                        ? `${results.length.toLocaleString()} results`
+                        : `${visible.length.toLocaleString()} of ${results.length.toLocaleString()} results`
+                    } · click a row for the full breakdown
+                </div>
+            </div>
+        `;
+
+    const body = document.getElementById("batchGridBody");
+    body.addEventListener("scroll", () => {
+      const grid = this.batchGrid;
+      if (!grid || grid.frame) return;
+      grid.frame = requestAnimationFrame(() => {
+        grid.frame = null;
+        this.renderBatchWindow();
+      });
+    });
+
+    this.renderBatchWindow();
+  }
+
+  /**
+   * Renders the rows between the scroll position and the bottom of the grid
+   * body, plus BATCH_ROW_OVERSCAN on either side.
+   */
+  renderBatchWindow() {
+    const body = document.getElementById("batchGridBody");
+    const windowEl = document.getElementById("batchGridWindow");
+    const grid = this.batchGrid;
+    if (!body || !windowEl || !grid) return;
+
+    const height = body.clientHeight || BATCH_GRID_HEIGHT;
+    const first = Math.max(
+      0,
+      Math.floor(body.scrollTop / BATCH_ROW_HEIGHT) - BATCH_ROW_OVERSCAN
+    );
+    const last = Math.min(
+      grid.rows.length,
+      Math.ceil((body.scrollTop + height) / BATCH_ROW_HEIGHT) +
+        BATCH_ROW_OVERSCAN
+    );
+    if (first === grid.first && last === grid.last) return;
+
+    grid.first = first;
+    grid.last = last;
+    windowEl.style.transform = `translateY(${first * BATCH_ROW_HEIGHT}px)`;
+    windowEl.innerHTML = grid.rows
+      .slice(first, last)
+      .map((row, i) =>
+        row.group !== undefined
+          ? this.renderBatchGroupRow(row, first + i)
+          : this.renderBatchRow(row, first + i)
+      )
+      .join("");
+  }
+
+  matchesBatchView(result, query) {
+    const { filter, status, errorCode } = this.batchView;
+
+    if (!this.matchesBatchFilter(result, filter)) return false;
+    if (status === "valid" && !result.valid) return false;
+    if (status === "invalid" && result.valid) return false;
+    if (status === "duplicate" && !result.duplicate) return false;
+    if (status === "unknown" && !result.unknownToMaster) return false;
+    if (status === "superseded" && !(result.change && !result.change.pending)) {
+      return false;
+    }
+    if (errorCode !== "all" && result.errorCode !== errorCode) return false;
+    if (!query) return true;
+
+    return [
+      result.cusip,
+      result.normalized,
+      result.type,
+      result.errorCode,
+      result.error,
+      batchDetailsText(result)
+    ].some((text) => text && String(text).toLowerCase().includes(query));
+  }
+
+  matchesBatchFilter(result, filter) {
+    const breakdown = result.breakdown;
+
+    switch (filter) {
+      case "all":
+        return true;
+      case "cins":
+        return Boolean(breakdown && breakdown.cins);
+      case "ppn":
+        return Boolean(breakdown && breakdown.privatePlacement);
+      default:
+        return Boolean(breakdown && breakdown.issueClass === filter);
+    }
+  }
+
+  /**
+   * Sorts in place by the current column. Empty values go last in either
+   * direction; ties keep line order.
+   */
+  sortBatchResults(results) {
+    const { sortKey, sortDir } = this.batchView;
+    const column =
+      BATCH_COLUMNS.find((c) => c.key === sortKey) || BATCH_COLUMNS[0];
+    const direction = sortDir === "desc" ? -1 : 1;
+    const isEmpty = (value) =>
+      value === null || value === undefined || value === "";
+
+    results.sort((a, b) => {
+      const x = column.value(a);
+      const y = column.value(b);
+      let order = 0;
+
+      if (isEmpty(x) || isEmpty(y)) {
+        order = isEmpty(x) - isEmpty(y);
+      } else if (typeof x === "number" && typeof y === "number") {
+        order = (x - y) * direction;
+      } else {
+        order = String(x).localeCompare(String(y)) * direction;
+      }
+
+      return order || a.line - b.line;
+    });
+  }
+
+  sortBatchBy(key) {
+    if (this.batchView.sortKey === key) {
+      this.batchView.sortDir =
+        this.batchView.sortDir === "asc" ? "desc" : "asc";
+    } else {
+      this.batchView.sortKey = key;
+      this.batchView.sortDir = "asc";
+    }
+    this.displayBatchResults(this.lastBatchResults);
+  }
+
+  /**
+   * Grid rows with a header row ({ group, key, meta, count, valid, invalid,
+   * collapsed }) before each group, followed by its results unless it is
+   * collapsed. Groups appear in the order of their first result. Issuer
+   * groups start collapsed, so they read as a per-issuer roll-up; others
+   * start expanded. Clicking a header flips its group (toggledGroups).
+   */
+  groupBatchRows(results, groupBy) {
+    const by = BATCH_ISSUER_GROUPINGS[groupBy];
+
+    let groups;
+    if (by) {
+      groups = CUSIPIO.groupByIssuer(results, { by }).map((group) => ({
+        key: group.key,
+        label: group.key === null ? "No issuer number" : group.key,
+        meta: by === "name" ? group.prefixes.join(", ") : group.name,
+        items: group.indexes.map((index) => results[index])
+      }));
+    } else {
+      const byKey = new Map();
+      results.forEach((result) => {
+        const key = this.batchGroupKey(result, groupBy);
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push(result);
+      });
+      groups = Array.from(byKey, ([key, items]) => ({
+        key,
+        label: key,
+        meta: "",
+        items
+      }));
+    }
+
+    const rows = [];
+    groups.forEach(({ key, label, meta, items }) => {
+      const collapsed = Boolean(by) !== this.batchView.toggledGroups.has(key);
+      const valid = items.filter((result) => result.valid).length;
+
+      rows.push({
+        group: label,
+        key,
+        meta,
+        count: items.length,
+        valid,
+        invalid: items.length - valid,
+        collapsed
+      });
+      if (!collapsed) items.forEach((result) => rows.push(result));
+    });
+    return rows;
+  }
+
+  /**
+   * Expands or collapses a group, keeping the grid's scroll position.
+   */
+  toggleBatchGroup(row) {
+    if (!row || row.group === undefined) return;
+
+    const toggled = this.batchView.toggledGroups;
+    if (toggled.has(row.key)) {
+      toggled.delete(row.key);
+    } else {
+      toggled.add(row.key);
+    }
+
+    const body = document.getElementById("batchGridBody");
+    const scrollTop = body ? body.scrollTop : 0;
+    this.displayBatchResults(this.lastBatchResults);
+
+    const newBody = document.getElementById("batchGridBody");
+    if (newBody && scrollTop > 0) {
+      newBody.scrollTop = scrollTop;
+      this.renderBatchWindow();
+    }
+  }
+
+  batchGroupKey(result, groupBy) {
+    const breakdown = result.breakdown;
+    if (!breakdown) return "Not a CUSIP";
+
+    if (groupBy === "region") {
+      return breakdown.cins ? breakdown.cins.region : "North America (CUSIP)";
+    }
+
+    return ISSUE_CLASS_LABELS[breakdown.issueClass];
+  }
+
+  /**
+   * Tags every occurrence of a repeated identifier with
+   * { key, count, lines, kind, first }, from CUSIPIO.findDuplicates().
+   */
+  markDuplicates(results) {
+    CUSIPIO.findDuplicates(results).forEach((duplicate) => {
+      const { key, count, lines, kind, indexes } = duplicate;
+      indexes.forEach((index, i) => {
+        results[index].duplicate = { key, count, lines, kind, first: i === 0 };
+      });
+    });
+  }
+
+  /**
+   * Error Code options for the results present, with counts. A selected
+   * code that no longer occurs falls back to all.
+   */
+  updateErrorCodeFilter(results) {
+    const select = document.getElementById("batchErrorCode");
+    if (!select) return;
+
+    const counts = {};
+    results.forEach((r) => {
+      if (r.errorCode) counts[r.errorCode] = (counts[r.errorCode] || 0) + 1;
+    });
+
+    if (!counts[this.batchView.errorCode]) this.batchView.errorCode = "all";
+
+    select.innerHTML = [
+      `<option value="all">All error types</option>`,
+      ...Object.values(CUSIPCore.ERROR_CODES)
+        .filter((code) => counts[code])
+        .map(
+          (code) =>
+            `<option value="${code}">${code} (${counts[
+              code
+            ].toLocaleString()})</option>`
+        )
+    ].join("");
+    select.value = this.batchView.errorCode;
+  }
+
+  renderBatchGroupRow(row, index) {
+    return `
+            <div class="batch-grid__group batch-group__header" role="row" tabindex="0" data-group="${index}" aria-expanded="${!row.collapsed}" style="height: ${BATCH_ROW_HEIGHT}px">
+                <span class="batch-group__title">
+                    <i class="fas fa-chevron-${
+                      row.collapsed ? "right" : "down"
+                    }"></i>
+                    ${escapeHTML(row.group)}
+                    ${
+                      row.meta
+                        ? `<span class="batch-group__meta">${escapeHTML(
+                            row.meta
+                          )}</span>`
+                        : ""
+                    }
+                </span>
+                <span class="batch-group__count">
+                    <span class="batch-group__valid">${row.valid.toLocaleString()} valid</span>
+                    <span class="batch-group__invalid">${row.invalid.toLocaleString()} invalid</span>
+                    ${row.count.toLocaleString()}
+                </span>
+            </div>
+        `;
+  }
+
+  renderBatchRow(result, index) {
+    const checkDigit = (value) =>
+      value === null || value === undefined ? "-" : value;
+
+    return `
+            <div class="batch-grid__row ${
+              result.valid ? "valid" : "invalid"
+            }" role="row" tabindex="0" data-row="${index}" style="height: ${BATCH_ROW_HEIGHT}px"${
+      result.errorCode
+        ? ` title="${result.errorCode}${
+            result.errorIndex !== null
+              ? ` at position ${result.errorIndex + 1}`
+              : ""
+          }: ${escapeHTML(result.error)}"`
+        : ""
+    }>
+                <span class="batch-grid__line" role="cell">${result.line}</span>
+                <span class="batch-grid__code" role="cell">${escapeHTML(
+                  result.cusip
+                )}</span>
+                <span role="cell"><span class="batch-item__type ${result.type.toLowerCase()}">${
+      result.type
+    }</span></span>
+                <span class="batch-grid__status" role="cell">
+                    <i class="fas ${
+                      result.valid ? "fa-check" : "fa-times"
+                    }"></i>
+                    ${result.valid ? "Valid" : "Invalid"}
+                </span>
+                <span class="batch-grid__error" role="cell">${
+                  result.errorCode
+                    ? `<code>${result.errorCode}</code>${
+                        result.errorIndex !== null
+                          ? ` @${result.errorIndex + 1}`
+                          : ""
+                      }`
+                    : ""
+                }</span>
+                <span class="batch-grid__digit" role="cell">${checkDigit(
+                  result.providedCheckDigit
+                )}</span>
+                <span class="batch-grid__digit" role="cell">${checkDigit(
+                  result.calculatedCheckDigit
+                )}</span>
+                <span class="batch-grid__details" role="cell" title="${escapeHTML(
+                  batchDetailsText(result)
+                )}">
+                    ${
+                      result.inputModified
+                        ? `<span class="batch-item__adjusted">&rarr; ${escapeHTML(
+                            result.normalized
+                          )}</span>`
+                        : ""
+                    }
+                    ${this.renderChangeChip(result)}
+                    ${this.renderSecurityChip(result)}
+                    ${this.renderDuplicate(result)}
+                    ${this.renderRepairs(result)}
+                    ${
+                      result.suggestions.length > 0
+                        ? `<span class="batch-item__suggestions">Did you mean ${result.suggestions
+                            .map((s) => s.cusip)
+                            .join(", ")}?</span>`
+                        : ""
+                    }
+                    ${this.renderExtra(result)}
+                </span>
+            </div>
+        `;
+  }
+
+  /**
+   * Click-through from a batch row to the single view's full breakdown.
+   * Repaired lines open with the repaired value, as the single view does
+   * not repair spreadsheet damage.
+   */
+  openInSingleView(result) {
+    const input = document.getElementById("cusipInput");
+    const navBtn = document.querySelector('.nav__btn[data-view="single"]');
+    if (!result || result.group !== undefined || !input || !navBtn) return;
+
+    navBtn.click();
+    input.value =
+      typeof result.input === "string" ? result.input : result.cusip;
+    input.dispatchEvent(new Event("input"));
+    input.focus();
+  }
+
+  renderChangeChip(result) {
+    if (!result.change) return "";
+
+    return `<span class="batch-item__change${
+      result.change.pending ? " pending" : ""
+    }"><i class="fas ${
+      result.change.pending ? "fa-clock" : "fa-exchange-alt"
+    }"></i> ${escapeHTML(changeText(result.change))}</span>`;
+  }
+
+  renderSecurityChip(result) {
+    if (result.security) {
+      return `<span class="batch-item__security">${escapeHTML(
+        securityText(result.security)
+      )}</span>`;
+    }
+    if (result.unknownToMaster) {
+      return `<span class="batch-item__security unknown"><i class="fas fa-question-circle"></i> Not in master</span>`;
+    }
+    return "";
+  }
+
+  renderDuplicate(result) {
+    if (!result.duplicate) return "";
+
+    return `
+                <span class="batch-item__duplicate${
+                  result.duplicate.first ? "" : " repeat"
+                }">
+                    <i class="fas fa-clone"></i> ${duplicateText(
+                      result.duplicate
+                    )}
+                </span>
+        `;
+  }
+
+  /**
+   * Spreadsheet repairs made to a batch line, or the reason it could not
+   * be repaired.
+   */
+  renderRepairs(result) {
+    if (result.errorCode === CUSIPCore.ERROR_CODES.SCIENTIFIC_NOTATION) {
+      return `
+                <span class="batch-item__repairs unrecoverable" title="${escapeHTML(
+                  result.error
+                )}">
+                    <i class="fas fa-exclamation-triangle"></i> Scientific notation, digits lost
+                </span>
+        `;
+    }
+
+    if (!result.repairs || result.repairs.length === 0) return "";
+
+    return `
+                <span class="batch-item__repairs">
+                    <i class="fas fa-wrench"></i> ${result.repairs
+                      .map((r) => r.description)
+                      .join("; ")}
+                </span>
+        `;
+  }
+
+  /**
+   * Non-empty imported columns (account, quantity, ...) of a batch result.
+   */
+  renderExtra(result) {
+    const fields = Object.entries(result.extra || {}).filter(
+      ([, value]) => value.trim().length > 0
+    );
+    if (fields.length === 0) return "";
+
+    return `
+                <span class="batch-item__extra">${fields
+                  .map(
+                    ([name, value]) =>
+                      `<span>${escapeHTML(name)}: ${escapeHTML(value)}</span>`
+                  )
+                  .join("")}</span>
+        `;
+  }
+
+  updateBatchSummary(results) {
+    const valid = results.filter((r) => r.valid).length;
+    const invalid = results.filter((r) => !r.valid).length;
+
+    const validCount = document.querySelector(".summary-item.valid .count");
+    const invalidCount = document.querySelector(".summary-item.invalid .count");
+    const pendingCount = document.querySelector(".summary-item.pending .count");
+
+    if (validCount) validCount.textContent = valid;
+    if (invalidCount) invalidCount.textContent = invalid;
+    if (pendingCount) pendingCount.textContent = 0;
+
+    // Lines that repeat an earlier identifier, exactly or once normalized
+    const duplicateItem = document.querySelector(".summary-item.duplicate");
+    if (duplicateItem) {
+      const repeats = results.filter((r) => r.duplicate && !r.duplicate.first);
+      const identifiers = new Set(repeats.map((r) => r.duplicate.key)).size;
+      duplicateItem.querySelector(".count").textContent = repeats.length;
+      duplicateItem.title = `${repeats.length} line${
+        repeats.length !== 1 ? "s" : ""
+      } repeat an earlier identifier (${identifiers} identifier${
+        identifiers !== 1 ? "s" : ""
+      })`;
+    }
+
+    const typeBreakdown = document.getElementById("batchTypes");
+    if (typeBreakdown) {
+      const counts = {};
+      results.forEach((r) => {
+        counts[r.type] = (counts[r.type] || 0) + 1;
+      });
+
+      typeBreakdown.innerHTML = [...CUSIPCore.IDENTIFIER_TYPES, "UNKNOWN"]
+        .filter((type) => counts[type])
+        .map(
+          (type) => `
+                <span class="batch-type ${type.toLowerCase()}">
+                    ${type} <span class="count">${counts[type]}</span>
+                </span>
+            `
+        )
+        .join("");
+    }
+  }
+
+  loadSampleData() {
+    const sampleData = [
+      "037833100", // Apple
+      "17275R102", // Cisco
+      "38259P508", // Google
+      "68389X105", // Oracle
+      "68389X106", // Oracle (invalid)
+      "594918104", // Microsoft
+      "037833101", // Apple (invalid)
+      "INVALID01", // Invalid format
+      "123456789", // Invalid check digit
+      "987654321", // Invalid check digit
+      "US0378331005", // Apple ISIN
+      "0263494", // BAE Systems SEDOL
+      "BBG000B9XRY4", // Apple FIGI
+      "37833100", // Apple, leading zero lost in Excel
+      '"17275R102",', // Cisco, quoted with a trailing separator
+      "3.78E+08" // Scientific notation (unrecoverable)
+    ];
+
+    const textarea = document.getElementById("batchInput");
+    if (textarea) {
+      textarea.value = sampleData.join("\n");
+      textarea.dispatchEvent(new Event("input"));
+      this.batchSource = { label: "Sample data", text: textarea.value };
+      this.showToast(
+        "Sample Loaded",
+        "Sample CUSIPs have been loaded for testing",
+        "success"
+      );
+    }
+  }
+
+  /**
+   * One row per issuer with valid and invalid counts and the lines, grouped
+   * by issuer name when the grid is, otherwise by issuer number.
+   */
+  exportIssuerSummary() {
+    if (!this.lastBatchResults || this.lastBatchResults.length === 0) {
+      this.showToast("No Data", "No batch results to export", "warning");
+      return;
+    }
+
+    const by = BATCH_ISSUER_GROUPINGS[this.batchView.groupBy] || "prefix";
+    const groups = CUSIPIO.groupByIssuer(this.lastBatchResults, { by });
+
+    if (
+      !this.downloadExport("cusip-issuer-summary", {
+        sheet: "Issuers",
+        table: () => CUSIPIO.issuerTable(groups),
+        text: (format) => CUSIPIO.formatIssuerSummary(groups, format)
+      })
+    ) {
+      return;
+    }
+
+    this.showToast(
+      "Export Complete",
+      `${groups.length} issuer${
+        groups.length !== 1 ? "s" : ""
+      } exported as ${this.settings.exportFormat.toUpperCase()} file`,
+      "success"
+    );
+  }
+
+  /**
+   * Exports the current batch results, or those of a saved run, with the
+   * de-duplicate and substitute toggles applied.
+   */
+  exportResults(batchResults = this.lastBatchResults) {
+    if (!batchResults || batchResults.length === 0) {
+      this.showToast("No Data", "No batch results to export", "warning");
+      return;
+    }
+
+    // The first occurrence of each identifier, as `node cli.js --dedupe`
+    const uniqueToggle = document.getElementById("exportUnique");
+    const unique = Boolean(uniqueToggle && uniqueToggle.checked);
+    let results = unique ? CUSIPIO.uniqueResults(batchResults) : batchResults;
+
+    // Superseded identifiers exported as their current replacement, as
+    // `node cli.js --substitute`
+    const substituteToggle = document.getElementById("exportSubstitute");
+    if (substituteToggle && substituteToggle.checked) {
+      results = CUSIPIO.substituteReplacements(results, {
+        master: this.securityMaster
+      });
+    }
+
+    if (
+      !this.downloadResults(
+        results,
+        unique ? "cusip-validation-results-unique" : "cusip-validation-results"
+      )
+    ) {
+      return;
+    }
+
+    const format = this.settings.exportFormat.toUpperCase();
+    this.showToast(
+      "Export Complete",
+      unique
+        ? `${results.length} unique identifiers exported as ${format} file`
+        : `Results exported as ${format} file`,
+      "success"
+    );
+  }
+
+  /**
+   * Fills in the printable report of the current batch run and opens the
+   * print dialog: run details with the SHA-256 of the input, the summary,
+   * the valid/invalid chart, and the failures (up to REPORT_FAILURE_LIMIT)
+   * with their errors and any suggested corrections.
+   */
+  async generateReport() {
+    const results = this.lastBatchResults;
+    const container = document.getElementById("batchReport");
+    if (!container) return;
+
+    if (!results || results.length === 0 || !this.currentRun) {
+      this.showToast("No Data", "No batch results to report", "warning");
+      return;
+    }
+
+    const run = await this.currentRun;
+    const summary = batchSummary(results);
+    const failures = results.filter((r) => !r.valid);
+    const chart = this.reportChartImage(summary);
+    const figures = [
+      ["Lines", summary.total],
+      ["Valid", summary.valid],
+      ["Invalid", summary.invalid],
+      ["Duplicate lines", summary.duplicates]
+    ];
+
+    container.innerHTML = `
+            <header class="print-report__header">
+                <h1>CUSIP Validation Report</h1>
+                <p>Generated ${escapeHTML(new Date().toLocaleString())}</p>
+            </header>
+
+            <section class="print-report__section">
+                <h2>Run</h2>
+                <dl class="print-report__meta">
+                    <dt>Name</dt><dd>${escapeHTML(run.name)}</dd>
+                    <dt>Source</dt><dd>${escapeHTML(run.source)}</dd>
+                    <dt>Processed</dt><dd>${escapeHTML(
+                      new Date(run.timestamp).toLocaleString()
+                    )}</dd>
+                    <dt>Policy</dt><dd>${escapeHTML(
+                      POLICY_LABELS[run.policy] || run.policy
+                    )}</dd>
+                    <dt>Status</dt><dd>${
+                      run.cancelled ? "Cancelled (partial results)" : "Complete"
+                    }</dd>
+                    <dt>Input SHA-256</dt><dd>${
+                      run.inputHash
+                        ? `<code class="print-report__hash">${run.inputHash}</code>`
+                        : "Not recorded for this run"
+                    }</dd>
+                </dl>
+            </section>
+
+            <section class="print-report__section">
+                <h2>Summary</h2>
+                <div class="print-report__summary">
+                    <dl class="print-report__figures">
+                        ${figures
+                          .map(
+                            ([label, value]) => `
+                        <div><dt>${label}</dt><dd>${value.toLocaleString()}</dd></div>
+                        `
+                          )
+                          .join("")}
+                    </dl>
+                    ${
+                      chart
+                        ? `<img class="print-report__chart" src="${chart}" alt="Valid and invalid lines">`
+                        : ""
+                    }
+                </div>
+            </section>
+
+            <section class="print-report__section">
+                <h2>Failures (${failures.length.toLocaleString()})</h2>
+                ${
+                  failures.length > 0
+                    ? `
+                <table class="print-report__table">
+                    <thead>
+                        <tr>
+                            <th>Line</th>
+                            <th>Input</th>
+                            <th>Type</th>
+                            <th>Error</th>
+                            <th>Suggested correction</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${failures
+                          .slice(0, REPORT_FAILURE_LIMIT)
+                          .map((result) => this.renderReportFailure(result))
+                          .join("")}
+                    </tbody>
+                </table>
+                ${
+                  failures.length > REPORT_FAILURE_LIMIT
+                    ? `<p class="print-report__note">Showing the first ${REPORT_FAILURE_LIMIT.toLocaleString()} of ${failures.length.toLocaleString()} failures; export the results for the full list.</p>`
+                    : ""
+                }`
+                    : "<p>Every line is valid.</p>"
+                }
+            </section>
+        `;
+
+    // A data URL image may not be decoded yet, and would print blank
+    const image = container.querySelector(".print-report__chart");
+    if (image) {
+      try {
+        await image.decode();
+      } catch (error) {
+        console.warn("Failed to decode the report chart:", error);
+      }
+    }
+
+    document.body.classList.add("printing-report");
+    window.print();
+  }
+
+  renderReportFailure(result) {
+    return `
+                        <tr>
+                            <td>${result.line}</td>
+                            <td><code>${escapeHTML(result.cusip)}</code></td>
+                            <td>${result.type}</td>
+                            <td>${
+                              result.errorCode
+                                ? `<code>${result.errorCode}</code>${
+                                    result.errorIndex !== null
+                                      ? ` at position ${result.errorIndex + 1}`
+                                      : ""
+                                  }: `
+                                : ""
+                            }${escapeHTML(result.error || "")}</td>
+                            <td>${
+                              result.suggestions.length > 0
+                                ? result.suggestions
+                                    .map(
+                                      (s) =>
+                                        `<code>${s.cusip}</code> (${escapeHTML(
+                                          s.description
+                                        )})`
+                                    )
+                                    .join("<br>")
+                                : "&mdash;"
+                            }</td>
+                        </tr>
+                    `;
+  }
+
+  /**
+   * The valid/invalid doughnut of the analytics view for a batch summary,
+   * drawn once as an image so it prints. Null without Chart.js or canvas
+   * support.
+   */
+  reportChartImage({ valid, invalid }) {
+    if (typeof Chart === "undefined") return null;
+
+    const canvas = document.createElement("canvas");
+    canvas.width = 360;
+    canvas.height = 240;
+    try {
+      const chart = new Chart(canvas, {
+        type: "doughnut",
+        data: {
+          labels: [`Valid (${valid})`, `Invalid (${invalid})`],
+          datasets: [
+            {
+              data: [valid, invalid],
+              backgroundColor: [
+                "rgba(16, 185, 129, 0.8)",
+                "rgba(239, 68, 68, 0.8)"
+              ],
+              borderWidth: 0
+            }
+          ]
+        },
+        options: {
+          responsive: false,
+          animation: false,
+          devicePixelRatio: 2,
+          plugins: {
+            legend: {
+              position: "right",
+              labels: { color: "#1e293b" }
+            }
+          }
+        }
+      });
+      const image = chart.toBase64Image();
+      chart.destroy();
+      return image;
+    } catch (error) {
+      console.warn("Failed to draw the report chart:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Single validations from the history, newest first, in the batch export
+   * format with a "Validated At" column.
+   */
+  exportHistory() {
+    if (this.validationHistory.length === 0) {
+      this.showToast("No Data", "No validation history to export", "warning");
+      return;
+    }
+
+    const policy = this.getPolicy();
+    const results = this.validationHistory.map((entry) => ({
+      type: CUSIPCore.detectIdentifier(entry.cusip, { policy }),
+      suggestions: [],
+      ...entry.result,
+      cusip: entry.cusip,
+      validationTime: entry.validationTime,
+      extra: { "Validated At": new Date(entry.timestamp).toISOString() }
+    }));
+
+    if (this.downloadResults(results, "cusip-validation-history")) {
+      this.showToast(
+        "Export Complete",
+        `${
+          results.length
+        } validations exported as ${this.settings.exportFormat.toUpperCase()} file`,
+        "success"
+      );
+    }
+  }
+
+  /**
+   * Downloads results in the saved export format, with the basic or all
+   * fields (same columns as `node cli.js --fields`). Returns false, after
+   * telling the user, when the file could not be written.
+   */
+  downloadResults(results, baseName) {
+    const options = {
+      fields: this.settings.exportAllFields ? "all" : "basic",
+      countryCode: this.settings.isinCountry,
+      cinsCountryCode: this.settings.cinsCountry
+    };
+
+    return this.downloadExport(baseName, {
+      sheet: "Results",
+      table: () => CUSIPIO.exportTable(results, options),
+      text: (format) => CUSIPIO.formatResults(results, format, options)
+    });
+  }
+
+  /**
+   * Downloads an export in the chosen format: XLSX from `table()` (a header
+   * row and data rows), the text formats from `text(format)`. Returns false
+   * (after a toast) when the export fails.
+   */
+  downloadExport(baseName, { sheet, table, text }) {
+    const format = this.settings.exportFormat;
+
+    let content;
+    try {
+      if (format === "xlsx") {
+        if (typeof XLSX === "undefined") {
+          throw new Error("Spreadsheet support is not available");
+        }
+
+        // Cells stay text, so identifiers keep their leading zeros
+        const { header, rows } = table();
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(
+          workbook,
+          XLSX.utils.aoa_to_sheet([header, ...rows]),
+          sheet
+        );
+        content = XLSX.write(workbook, { type: "array", bookType: "xlsx" });
+      } else {
+        content = text(format);
+      }
+    } catch (error) {
+      console.error("Export failed:", error);
+      this.showToast("Export Failed", error.message, "error");
+      return false;
+    }
+
+    this.downloadFile(
+      content,
+      `${baseName}.${format}`,
+      EXPORT_MIME_TYPES[format]
+    );
+    return true;
+  }
+
+  // Saves `content` as `fileName` with today's date before the extension
+  downloadFile(content, fileName, type) {
+    const dot = fileName.lastIndexOf(".");
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${fileName.slice(0, dot)}-${new Date()
+      .toISOString()
+      .slice(0, 10)}${fileName.slice(dot)}`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Text Extraction Functions
+   */
+  scanText() {
+    const input = document.getElementById("extractInput");
+    if (!input) return;
+
+    this.extraction =
+      input.value.trim().length > 0
+        ? CUSIPIO.extractCUSIPs(input.value, { policy: this.getPolicy() })
+        : null;
+    this.displayExtraction();
+  }
+
+  displayExtraction() {
+    const container = document.getElementById("extractResults");
+    const count = document.getElementById("extractCount");
+    const sendBtn = document.getElementById("sendExtract");
+    if (!container || !count || !sendBtn) return;
+
+    const report = this.extraction;
+    if (!report) {
+      container.innerHTML = "";
+      count.textContent = "Nothing scanned yet";
+      sendBtn.disabled = true;
+      return;
+    }
+
+    const { candidates, matches, nearMisses } = report;
+    count.textContent = `${candidates.toLocaleString()} candidate${
+      candidates !== 1 ? "s" : ""
+    }: ${matches.length.toLocaleString()} CUSIP${
+      matches.length !== 1 ? "s" : ""
+    }, ${nearMisses.length.toLocaleString()} near-miss${
+      nearMisses.length !== 1 ? "es" : ""
+    }`;
+    sendBtn.disabled = matches.length === 0 && nearMisses.length === 0;
+
+    if (matches.length === 0 && nearMisses.length === 0) {
+      container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-search"></i>
+                    <p>No CUSIPs found in the text</p>
+                </div>
+            `;
+      return;
+    }
+
+    container.innerHTML = `
+            ${
+              matches.length > 0
+                ? `
+                <h4 class="extract-heading">Found</h4>
+                ${matches
+                  .map(
+                    (entry, i) => `
+                    <label class="extract-item">
+                        <input type="checkbox" data-extract-match="${i}" checked>
+                        <span class="extract-item__code">${entry.cusip}</span>
+                        ${this.renderExtractContext(entry)}
+                    </label>
+                `
+                  )
+                  .join("")}
+            `
+                : ""
+            }
+            ${
+              nearMisses.length > 0
+                ? `
+                <h4 class="extract-heading">Near misses</h4>
+                ${nearMisses
+                  .map(
+                    (entry, i) => `
+                    <div class="extract-item near-miss">
+                        <select class="settings-select" data-extract-miss="${i}" aria-label="Use near-miss ${escapeHTML(
+                      entry.cusip
+                    )}">
+                            <option value="">Skip</option>
+                            ${entry.suggestions
+                              .map(
+                                (suggestion) => `
+                                <option value="${escapeHTML(
+                                  suggestion.cusip
+                                )}">Use ${escapeHTML(
+                                  suggestion.cusip
+                                )} (${escapeHTML(
+                                  suggestion.description
+                                )})</option>
+                            `
+                              )
+                              .join("")}
+                            <option value="${escapeHTML(
+                              entry.cusip
+                            )}">Send as typed</option>
+                        </select>
+                        <span class="extract-item__code invalid">${escapeHTML(
+                          entry.cusip
+                        )}</span>
+                        ${this.renderExtractContext(entry)}
+                    </div>
+                `
+                  )
+                  .join("")}
+            `
+                : ""
+            }
+        `;
+  }
+
+  /**
+   * First occurrence in context, with the line and how often it appears.
+   */
+  renderExtractContext(entry) {
+    const first = entry.occurrences[0];
+    const more = entry.occurrences.length - 1;
+
+    return `
+            <span class="extract-item__context">&hellip;${escapeHTML(
+              first.before
+            )}<mark>${escapeHTML(first.text)}</mark>${escapeHTML(
+      first.after
+    )}&hellip;</span>
+            <span class="extract-item__meta">line ${first.line}${
+      more > 0 ? ` +${more} more` : ""
+    }${entry.result.valid ? "" : ` · ${escapeHTML(entry.result.error)}`}</span>
+        `;
+  }
+
+  /**
+   * Puts the ticked matches and the chosen near-miss corrections into the
+   * batch input, in text order, and processes them.
+   */
+  sendExtractionToBatch() {
+    const report = this.extraction;
+    const textarea = document.getElementById("batchInput");
+    if (!report || !textarea) return;
+
+    const picked = [];
+    document.querySelectorAll("[data-extract-match]").forEach((box) => {
+      const entry = report.matches[Number(box.dataset.extractMatch)];
+      if (entry && box.checked) picked.push({ entry, cusip: entry.cusip });
+    });
+    document.querySelectorAll("[data-extract-miss]").forEach((select) => {
+      const entry = report.nearMisses[Number(select.dataset.extractMiss)];
+      if (entry && select.value) picked.push({ entry, cusip: select.value });
+    });
+
+    const cusips = picked
+      .sort(
+        (a, b) => a.entry.occurrences[0].index - b.entry.occurrences[0].index
+      )
+      .map((item) => item.cusip)
+      .filter((cusip, i, all) => all.indexOf(cusip) === i);
+
+    if (cusips.length === 0) {
+      this.showToast(
+        "No Data",
+        "Tick at least one CUSIP to send to the batch",
+        "warning"
+      );
+      return;
+    }
+
+    textarea.value = cusips.join("\n");
+    textarea.dispatchEvent(new Event("input"));
+    this.batchSource = { label: "Extracted from text", text: textarea.value };
+    this.processBatch();
+  }
+
+  /**
+   * Reconciliation Functions
+   */
+  runReconciliation() {
+    const leftInput = document.getElementById("reconcileLeft");
+    const rightInput = document.getElementById("reconcileRight");
+    if (!leftInput || !rightInput) return;
+
+    const report = CUSIPIO.reconcileLists(
+      leftInput.value.split("\n"),
+      rightInput.value.split("\n"),
+      {
+        policy: this.getPolicy(),
+        repairSpreadsheet: this.settings.repairSpreadsheet
+      }
+    );
+
+    // Open on the first bucket that needs attention
+    const bucket =
+      ["nearMatches", "onlyLeft", "onlyRight", "invalid"].find(
+        (name) => report[name].length > 0
+      ) || "both";
+    this.reconciliation = { report, bucket };
+    this.displayReconciliation();
+
+    const breaks =
+      report.nearMatches.length +
+      report.onlyLeft.length +
+      report.onlyRight.length +
+      report.invalid.length;
+    this.showToast(
+      "Reconciliation Complete",
+      `${report.both.length.toLocaleString()} in both lists, ${breaks.toLocaleString()} to review`,
+      breaks > 0 ? "warning" : "success"
+    );
+  }
+
+  displayReconciliation() {
+    const container = document.getElementById("reconcileResults");
+    if (!container || !this.reconciliation) return;
+
+    const { report, bucket } = this.reconciliation;
+    const items = report[bucket];
+    const shown = items.slice(0, RECONCILE_DISPLAY_LIMIT);
+
+    container.innerHTML = `
+            <div class="reconcile-buckets" role="tablist">
+                ${Object.entries(CUSIPIO.RECONCILE_BUCKETS)
+                  .map(
+                    ([name, label]) => `
+                    <button class="reconcile-bucket ${name}${
+                      name === bucket ? " active" : ""
+                    }" data-bucket="${name}" role="tab" aria-selected="${
+                      name === bucket
+                    }">
+                        ${label} <span class="count">${report[
+                      name
+                    ].length.toLocaleString()}</span>
+                    </button>
+                `
+                  )
+                  .join("")}
+            </div>
+            <div class="reconcile-toolbar">
+                <span>
+                    Left: ${report.left.identifiers.toLocaleString()} distinct
+                    &middot; Right: ${report.right.identifiers.toLocaleString()} distinct
+                </span>
+                <span>
+                    <button class="btn btn--success" data-export-bucket="${bucket}"${
+      items.length === 0 ? " disabled" : ""
+    }>
+                        <i class="fas fa-download"></i> Export ${
+                          CUSIPIO.RECONCILE_BUCKETS[bucket]
+                        }
+                    </button>
+                    <button class="btn btn--secondary" data-export-bucket="all">
+                        <i class="fas fa-download"></i> Export All
+                    </button>
+                </span>
+            </div>
+            ${
+              items.length === 0
+                ? `
+                <div class="empty-state">
+                    <i class="fas fa-check-double"></i>
+                    <p>Nothing in this bucket</p>
+                </div>
+            `
+                : `
+                <div class="reconcile-table" role="table">
+                    <div class="reconcile-row reconcile-row--header" role="row">
+                        <span role="columnheader">Left</span>
+                        <span role="columnheader">Lines</span>
+                        <span role="columnheader">Right</span>
+                        <span role="columnheader">Lines</span>
+                        <span role="columnheader">Details</span>
+                    </div>
+                    ${shown
+                      .map((item) => this.renderReconcileRow(item, bucket))
+                      .join("")}
+                </div>
+                ${
+                  items.length > shown.length
+                    ? `<div class="batch-grid__footer">Showing ${shown.length.toLocaleString()} of ${items.length.toLocaleString()}; export for the full list</div>`
+                    : ""
+                }
+            `
+            }
+        `;
+  }
+
+  renderReconcileRow(item, bucket) {
+    const { left, right } = CUSIPIO.reconcileSides(item, bucket);
+
+    const cell = (entry) =>
+      entry
+        ? `<span class="reconcile-row__code ${
+            entry.result.valid ? "valid" : "invalid"
+          }" role="cell">${escapeHTML(entry.identifier)}</span>
+           <span class="reconcile-row__lines" role="cell">${entry.lines
+             .slice(0, 5)
+             .join(", ")}${entry.lines.length > 5 ? "…" : ""}</span>`
+        : `<span role="cell">-</span><span role="cell"></span>`;
+
+    const errors = [left, right]
+      .filter((entry) => entry && !entry.result.valid)
+      .map((entry) => entry.result.error);
+    const details = [item.description, ...errors].filter(Boolean).join(" · ");
+
+    return `
+            <div class="reconcile-row" role="row">
+                ${cell(left)}
+                ${cell(right)}
+                <span class="reconcile-row__details" role="cell">${escapeHTML(
+                  details
+                )}</span>
+            </div>
+        `;
+  }
+
+  /**
+   * Exports one bucket of the last reconciliation, or "all" of them with
+   * the bucket in the first column.
+   */
+  exportReconciliation(bucket) {
+    if (!this.reconciliation) {
+      this.showToast("No Data", "Reconcile two lists first", "warning");
+      return;
+    }
+
+    const { report } = this.reconciliation;
+    const buckets =
+      bucket === "all" ? Object.keys(CUSIPIO.RECONCILE_BUCKETS) : [bucket];
+    const slug =
+      bucket === "all"
+        ? "all"
+        : bucket.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+
+    if (
+      !this.downloadExport(`cusip-reconciliation-${slug}`, {
+        sheet:
+          bucket === "all"
+            ? "Reconciliation"
+            : CUSIPIO.RECONCILE_BUCKETS[bucket],
+        table: () => CUSIPIO.reconciliationTable(report, buckets),
+        text: (format) => CUSIPIO.formatReconciliation(report, format, buckets)
+      })
+    ) {
+      return;
+    }
+
+    const count = buckets.reduce(
+      (total, name) => total + report[name].length,
+      0
+    );
+    this.showToast(
+      "Export Complete",
+      `${count.toLocaleString()} row${
+        count !== 1 ? "s" : ""
+      } exported as ${this.settings.exportFormat.toUpperCase()} file`,
+      "success"
+    );
+  }
+
+  /**
+   * Audit Log Functions
+   */
+
+  /**
+   * Turns audit mode on or off. Both are logged, so the log shows when it
+   * was not recording. Needs IndexedDB and Web Crypto.
+   */
+  async setAuditMode(enabled) {
+    const modeToggle = document.getElementById("auditMode");
+
+    if (enabled) {
+      try {
+        await CUSIPStore.open();
+        await CUSIPAudit.sha256("");
+      } catch (error) {
+        console.error("Audit mode unavailable:", error);
+        if (modeToggle) modeToggle.checked = false;
+        this.showToast(
+          "Audit Mode Unavailable",
+          escapeHTML(error.message),
+          "error"
+        );
+        return;
+      }
+    } else {
+      await this.appendAudit("audit", { event: "disabled" });
+    }
+
+    this.settings.auditMode = enabled;
+    this.saveSettings();
+
+    if (enabled) {
+      await this.appendAudit("audit", { event: "enabled" });
+    }
+    this.updateAuditStatus();
+  }
+
+  /**
+   * Appends an entry to the audit log when audit mode is on. Appends run
+   * one at a time so each chains to the one before it. The store refuses
+   * to overwrite an entry, so when another tab appended first this one
+   * re-reads the last entry and tries again.
+   */
+  appendAudit(kind, record) {
+    if (!this.settings.auditMode) return Promise.resolve();
+
+    const append = async (retry) => {
+      const previous =
+        this.auditHead || (await CUSIPStore.last("auditLog")) || null;
+      const entry = await CUSIPAudit.createEntry(previous, kind, record);
+
+      try {
+        await CUSIPStore.add("auditLog", entry);
+      } catch (error) {
+        this.auditHead = null;
+        if (retry) return append(false);
+        throw error;
+      }
+
+      this.auditHead = { seq: entry.seq, hash: entry.hash };
+      try {
+        localStorage.setItem(AUDIT_HEAD_KEY, JSON.stringify(this.auditHead));
+      } catch (error) {
+        console.warn("Failed to save audit log head:", error);
+      }
+    };
+
+    this.auditQueue = this.auditQueue
+      .then(() => append(true))
+      .catch((error) => {
+        console.error("Audit log append failed:", error);
+        this.showToast(
+          "Audit Log Error",
+          `Could not record the ${kind}: ${escapeHTML(error.message)}`,
+          "error"
+        );
+      });
+    return this.auditQueue.then(() => this.updateAuditStatus());
+  }
+
+  readAuditHead() {
+    try {
+      return JSON.parse(localStorage.getItem(AUDIT_HEAD_KEY) || "null");
+    } catch (error) {
+      console.warn("Failed to read audit log head:", error);
+      return null;
+    }
+  }
+
+  async updateAuditStatus() {
+    const status = document.getElementById("auditStatus");
+    const verifyBtn = document.getElementById("verifyAudit");
+    const exportBtn = document.getElementById("exportAudit");
+    if (!status || !verifyBtn || !exportBtn) return;
+
+    let count = 0;
+    try {
+      count = await CUSIPStore.count("auditLog");
+    } catch (error) {
+      console.warn("Failed to count audit log entries:", error);
+    }
+
+    verifyBtn.disabled = count === 0;
+    exportBtn.disabled = count === 0;
+    status.textContent = `${this.settings.auditMode ? "Recording" : "Off"}${
+      count > 0
+        ? ` · ${count.toLocaleString()} entr${count !== 1 ? "ies" : "y"}`
+        : ""
+    }`;
+  }
+
+  async verifyAuditLog() {
+    let report;
+    try {
+      await this.auditQueue;
+      const entries = await CUSIPStore.getAll("auditLog");
+      report = await CUSIPAudit.verifyChain(entries, {
+        head: this.readAuditHead()
+      });
+    } catch (error) {
+      console.error("Audit log verification failed:", error);
+      this.showToast("Verification Failed", escapeHTML(error.message), "error");
+      return;
+    }
+
+    if (report.valid) {
+      this.showToast(
+        "Audit Log Intact",
+        `${report.count.toLocaleString()} entries; every hash and link checks out`,
+        "success"
+      );
+      return;
+    }
+
+    const shown = report.problems.slice(0, 3).map((p) => p.message);
+    const more = report.problems.length - shown.length;
+    this.showToast(
+      "Audit Log Altered",
+      `${escapeHTML(shown.join("; "))}${
+        more > 0 ? ` and ${more} more problem${more !== 1 ? "s" : ""}` : ""
+      }`,
+      "error"
+    );
+  }
+
+  /**
+   * The key pair audit bundles are signed with, created on first use and
+   * kept in IndexedDB (the private key cannot be exported).
+   */
+  async getAuditSigningKey() {
+    const stored = await CUSIPStore.get("auditKeys", "signing");
+    if (stored) return stored.keyPair;
+
+    const keyPair = await CUSIPAudit.generateSigningKey();
+    await CUSIPStore.put("auditKeys", {
+      id: "signing",
+      keyPair,
+      createdAt: Date.now()
+    });
+    return keyPair;
+  }
+
+  /**
+   * Downloads the whole log as a signed JSON bundle, which
+   * `node cli.js --verify-audit <file>` checks.
+   */
+  async exportAuditBundle() {
+    let bundle;
+    let fingerprint;
+    try {
+      await this.auditQueue;
+      const entries = await CUSIPStore.getAll("auditLog");
+      if (entries.length === 0) {
+        this.showToast("No Data", "The audit log is empty", "warning");
+        return;
+      }
+
+      bundle = await CUSIPAudit.signBundle(
+        entries,
+        await this.getAuditSigningKey()
+      );
+      fingerprint = await CUSIPAudit.keyFingerprint(bundle.publicKey);
+    } catch (error) {
+      console.error("Audit bundle export failed:", error);
+      this.showToast("Export Failed", escapeHTML(error.message), "error");
+      return;
+    }
+
+    this.downloadFile(
+      JSON.stringify(bundle, null, 2),
+      "cusip-audit-bundle.json",
+      "application/json"
+    );
+    this.showToast(
+      "Audit Bundle Exported",
+      `${bundle.entries.length.toLocaleString()} entries signed by key ${fingerprint.slice(
+        0,
+        16
+      )}…`,
+      "success"
+    );
+  }
+
+  /**
+   * Saved Batch Run Functions
+   */
+  async loadBatchRuns() {
+    try {
+      const runs = await CUSIPStore.getAll("batchRuns");
+      // Keep any run saved while the store was loading
+      const ids = new Set(this.batchRuns.map((run) => run.id));
+      this.batchRuns = this.batchRuns
+        .concat(runs.filter((run) => !ids.has(run.id)))
+        .sort((a, b) => b.timestamp - a.timestamp);
+    } catch (error) {
+      console.warn("Failed to load batch runs:", error);
+    }
+    this.displayBatchRuns();
+  }
+
+  // Where the batch input came from: an imported file, the sample, text
+  // extraction, or typing and pasting (including edits to any of those)
+  batchSourceLabel(text) {
+    if (this.batchImport) {
+      return `${this.batchImport.fileName} (column ${this.batchImport.column})`;
+    }
+    if (this.batchSource && this.batchSource.text === text) {
+      return this.batchSource.label;
+    }
+    return "Typed or pasted";
+  }
+
+  /**
+   * Saves a batch run: its name (the input source until renamed), time,
+   * source, policy, summary and the SHA-256 of the input text, and its
+   * results. Kept in IndexedDB; where that is unavailable, for the session
+   * only. Resolves with the run.
+   */
+  async saveBatchRun(results, { source, input, cancelled }) {
+    let inputHash = null;
+    try {
+      inputHash = await CUSIPAudit.sha256(input);
+    } catch (error) {
+      console.warn("Failed to hash the batch input:", error);
+    }
+
+    const timestamp = Date.now();
+    const newest = this.batchRuns[0];
+    const run = {
+      id: Math.max(timestamp, newest ? newest.id + 1 : 0),
+      name: source,
+      timestamp,
+      source,
+      policy: this.getPolicy().name,
+      cancelled,
+      summary: batchSummary(results),
+      inputHash
+    };
+    this.batchRuns.unshift(run);
+    this.displayBatchRuns({ pickLatest: true });
+    this.appendAudit("batch", {
+      runId: run.id,
+      source: run.source,
+      policy: run.policy,
+      cancelled,
+      summary: run.summary,
+      inputHash,
+      results: results.map((result) => ({
+        line: result.line,
+        input: result.cusip,
+        identifier: result.normalized,
+        type: result.type,
+        valid: result.valid,
+        errorCode: result.errorCode || null
+      }))
+    });
+
+    // Results first, so a listed run always has them
+    try {
+      await CUSIPStore.put("batchRunResults", { id: run.id, results });
+      await CUSIPStore.put("batchRuns", run);
+    } catch (error) {
+      console.warn("Failed to save batch run:", error);
+      this.sessionRunResults.set(run.id, results);
+    }
+    return run;
+  }
+
+  async getRunResults(id) {
+    if (this.sessionRunResults.has(id)) return this.sessionRunResults.get(id);
+
+    const record = await CUSIPStore.get("batchRunResults", id);
+    if (!record) throw new Error("The results of this run are not stored");
+    return record.results;
+  }
+
+  async openBatchRun(id) {
+    const run = this.batchRuns.find((r) => r.id === id);
+    if (!run) return;
+
+    let results;
+    try {
+      results = await this.getRunResults(id);
+    } catch (error) {
+      console.error("Failed to open batch run:", error);
+      this.showToast("Open Failed", escapeHTML(error.message), "error");
+      return;
+    }
+
+    this.batchImport = null;
+    this.updateImportInfo();
+    this.lastBatchResults = results;
+    this.currentRun = Promise.resolve(run);
+    this.batchView.toggledGroups.clear();
+    this.updateErrorCodeFilter(results);
+    this.displayBatchResults(results);
+    this.updateBatchSummary(results);
+
+    this.showToast(
+      "Run Opened",
+      `${escapeHTML(run.name)}: ${results.length.toLocaleString()} results`,
+      "success"
+    );
+  }
+
+  async exportBatchRun(id) {
+    try {
+      this.exportResults(await this.getRunResults(id));
+    } catch (error) {
+      console.error("Failed to export batch run:", error);
+      this.showToast("Export Failed", escapeHTML(error.message), "error");
+    }
+  }
+
+  renameBatchRun(id, name) {
+    const run = this.batchRuns.find((r) => r.id === id);
+    if (!run) return;
+
+    run.name = name.trim() || run.source;
+    this.displayBatchRuns();
+    this.displayRunComparison();
+    CUSIPStore.put("batchRuns", run).catch((error) =>
+      console.warn("Failed to rename batch run:", error)
+    );
+  }
+
+  async deleteBatchRun(id) {
+    this.batchRuns = this.batchRuns.filter((run) => run.id !== id);
+    this.sessionRunResults.delete(id);
+    const comparison = this.runComparison;
+    if (
+      comparison &&
+      (comparison.before.id === id || comparison.after.id === id)
+    ) {
+      this.runComparison = null;
+    }
+    this.displayBatchRuns();
+    this.displayRunComparison();
+
+    try {
+      await CUSIPStore.remove("batchRuns", id);
+      await CUSIPStore.remove("batchRunResults", id);
+    } catch (error) {
+      console.warn("Failed to delete batch run:", error);
+    }
+  }
+
+  runLabel(run) {
+    return `${run.name} · ${new Date(run.timestamp).toLocaleString()}`;
+  }
+
+  /**
+   * Saved run list, and the run pickers of the comparison. The pickers keep
+   * their selection unless `pickLatest` (or it was deleted), when they
+   * compare the latest run against the one before it.
+   */
+  displayBatchRuns({ pickLatest = false } = {}) {
+    const list = document.getElementById("runsList");
+    const beforeSelect = document.getElementById("compareBefore");
+    const afterSelect = document.getElementById("compareAfter");
+    const compareBtn = document.getElementById("compareRuns");
+    if (!list || !beforeSelect || !afterSelect || !compareBtn) return;
+
+    const runs = this.batchRuns;
+    list.innerHTML =
+      runs.length === 0
+        ? `
+            <div class="empty-state">
+                <i class="fas fa-folder-open"></i>
+                <p>No saved runs yet. Every batch you process is saved here.</p>
+            </div>
+        `
+        : runs.map((run) => this.renderBatchRun(run)).join("");
+
+    [
+      [beforeSelect, runs[1]],
+      [afterSelect, runs[0]]
+    ].forEach(([select, fallback]) => {
+      const selected = pickLatest ? null : Number(select.value);
+      select.innerHTML = runs
+        .map(
+          (run) =>
+            `<option value="${run.id}">${escapeHTML(
+              this.runLabel(run)
+            )}</option>`
+        )
+        .join("");
+      if (runs.some((run) => run.id === selected)) {
+        select.value = String(selected);
+      } else if (fallback) {
+        select.value = String(fallback.id);
+      }
+    });
+
+    compareBtn.disabled = runs.length < 2;
+    compareBtn.classList.toggle("disabled", runs.length < 2);
+  }
+
+  renderBatchRun(run) {
+    const { summary } = run;
+    const meta = [
+      new Date(run.timestamp).toLocaleString(),
+      run.source,
+      `${POLICY_LABELS[run.policy] || run.policy} policy`,
+      run.cancelled ? "cancelled, partial results" : ""
+    ]
+      .filter(Boolean)
+      .join(" · ");
+
+    return `
+            <div class="run-item">
+                <div class="run-item__info">
+                    <input type="text" class="settings-input run-item__name" data-run-name="${
+                      run.id
+                    }" value="${escapeHTML(run.name)}" aria-label="Run name">
+                    <span class="run-item__meta">${escapeHTML(meta)}</span>
+                </div>
+                <div class="run-item__summary">
+                    <span class="run-item__count valid" title="Valid">
+                        <i class="fas fa-check"></i> ${summary.valid.toLocaleString()}
+                    </span>
+                    <span class="run-item__count invalid" title="Invalid">
+                        <i class="fas fa-times"></i> ${summary.invalid.toLocaleString()}
+                    </span>
+                    <span class="run-item__count duplicate" title="Lines that repeat an earlier identifier">
+                        <i class="fas fa-clone"></i> ${summary.duplicates.toLocaleString()}
+                    </span>
+                </div>
+                <div class="run-item__actions">
+                    <button class="btn btn--secondary" data-run-action="open" data-id="${
+                      run.id
+                    }">
+                        <i class="fas fa-folder-open"></i> Open
+                    </button>
+                    <button class="btn btn--secondary" data-run-action="export" data-id="${
+                      run.id
+                    }" title="Export in the selected format">
+                        <i class="fas fa-download"></i> Export
+                    </button>
+                    <button class="history-action history-action--delete" data-run-action="delete" data-id="${
+                      run.id
+                    }" title="Delete this run" aria-label="Delete run ${escapeHTML(
+      run.name
+    )}">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+  }
 
-    processBtn.innerHTML = '<i class="fas fa-play"></i> Process All';
-    processBtn.disabled = false;
+  async compareBatchRuns() {
+    const beforeSelect = document.getElementById("compareBefore");
+    const afterSelect = document.getElementById("compareAfter");
+    if (!beforeSelect || !afterSelect) return;
 
-    this.lastBatchResults = results;
-    this.showToast(
-      "Batch Complete",
-      `Processed ${results.length} CUSIPs`,
-      "success"
+    const before = this.batchRuns.find(
+      (run) => run.id === Number(beforeSelect.value)
     );
-  }
+    const after = this.batchRuns.find(
+      (run) => run.id === Number(afterSelect.value)
+    );
+    if (!before || !after || before === after) {
+      this.showToast(
+        "Pick Two Runs",
+        "Choose two different runs to compare",
+        "warning"
+      );
+      return;
+    }
 
-  async processChunk(cusips) {
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        const results = cusips.map((cusip) => {
-          const startTime = performance.now();
-          const result = this.validateCUSIP(cusip);
-          const validationTime = performance.now() - startTime;
+    let report;
+    try {
+      const [beforeResults, afterResults] = await Promise.all([
+        this.getRunResults(before.id),
+        this.getRunResults(after.id)
+      ]);
+      report = CUSIPIO.compareRuns(beforeResults, afterResults);
+    } catch (error) {
+      console.error("Run comparison failed:", error);
+      this.showToast("Compare Failed", escapeHTML(error.message), "error");
+      return;
+    }
 
-          return { cusip, ...result, validationTime };
-        });
-        resolve(results);
-      }, 0);
-    });
+    // Open the first change that has entries
+    const change =
+      Object.keys(CUSIPIO.RUN_CHANGES).find(
+        (name) => report[name].length > 0
+      ) || "becameInvalid";
+    this.runComparison = { report, change, before, after };
+    this.displayRunComparison();
   }
 
-  displayBatchResults(results) {
-    const container = document.getElementById("batchResults");
+  displayRunComparison() {
+    const container = document.getElementById("runDiff");
     if (!container) return;
 
-    if (results.length === 0) {
-      container.innerHTML = `
-                <div class="empty-state">
-                    <i class="fas fa-inbox"></i>
-                    <p>No results to display</p>
-                </div>
-            `;
+    if (!this.runComparison) {
+      container.innerHTML = "";
       return;
     }
 
-    const resultsHTML = results
-      .map(
-        (result) => `
-            <div class="batch-item ${result.valid ? "valid" : "invalid"}">
-                <span class="batch-item__code">${result.cusip}</span>
-                <span class="batch-item__status">
-                    <i class="fas ${
-                      result.valid ? "fa-check" : "fa-times"
-                    }"></i>
-                    ${result.valid ? "Valid" : "Invalid"}
+    const { report, change, before, after } = this.runComparison;
+    const items = report[change];
+    const shown = items.slice(0, RUN_DIFF_DISPLAY_LIMIT);
+
+    container.innerHTML = `
+            <div class="reconcile-buckets" role="tablist">
+                ${Object.entries(CUSIPIO.RUN_CHANGES)
+                  .map(
+                    ([name, label]) => `
+                    <button class="reconcile-bucket run-change ${name}${
+                      name === change ? " active" : ""
+                    }" data-run-change="${name}" role="tab" aria-selected="${
+                      name === change
+                    }">
+                        ${label} <span class="count">${report[
+                      name
+                    ].length.toLocaleString()}</span>
+                    </button>
+                `
+                  )
+                  .join("")}
+            </div>
+            <div class="reconcile-toolbar">
+                <span>
+                    ${escapeHTML(before.name)} &rarr; ${escapeHTML(after.name)}
+                    &middot; ${report.unchanged.toLocaleString()} unchanged
+                </span>
+                <span>
+                    <button class="btn btn--success" data-export-change="${change}"${
+      items.length === 0 ? " disabled" : ""
+    }>
+                        <i class="fas fa-download"></i> Export ${
+                          CUSIPIO.RUN_CHANGES[change]
+                        }
+                    </button>
+                    <button class="btn btn--secondary" data-export-change="all">
+                        <i class="fas fa-download"></i> Export All
+                    </button>
                 </span>
             </div>
-        `
-      )
-      .join("");
-
-    container.innerHTML = resultsHTML;
+            ${
+              items.length === 0
+                ? `
+                <div class="empty-state">
+                    <i class="fas fa-check-double"></i>
+                    <p>No identifiers changed this way</p>
+                </div>
+            `
+                : `
+                <div class="reconcile-table" role="table">
+                    <div class="run-diff-row run-diff-row--header" role="row">
+                        <span role="columnheader">Identifier</span>
+                        <span role="columnheader">Before</span>
+                        <span role="columnheader">After</span>
+                        <span role="columnheader">Lines</span>
+                    </div>
+                    ${shown.map((item) => this.renderRunDiffRow(item)).join("")}
+                </div>
+                ${
+                  items.length > shown.length
+                    ? `<div class="batch-grid__footer">Showing ${shown.length.toLocaleString()} of ${items.length.toLocaleString()}; export for the full list</div>`
+                    : ""
+                }
+            `
+            }
+        `;
   }
 
-  updateBatchSummary(results) {
-    const valid = results.filter((r) => r.valid).length;
-    const invalid = results.filter((r) => !r.valid).length;
-
-    const validCount = document.querySelector(".summary-item.valid .count");
-    const invalidCount = document.querySelector(".summary-item.invalid .count");
-    const pendingCount = document.querySelector(".summary-item.pending .count");
-
-    if (validCount) validCount.textContent = valid;
-    if (invalidCount) invalidCount.textContent = invalid;
-    if (pendingCount) pendingCount.textContent = 0;
+  renderRunDiffRow(item) {
+    const status = (entry) =>
+      entry
+        ? `<span class="run-diff-row__status ${
+            entry.result.valid ? "valid" : "invalid"
+          }" role="cell">${escapeHTML(
+            entry.result.valid ? "Valid" : entry.result.error
+          )}</span>`
+        : `<span class="run-diff-row__status" role="cell">-</span>`;
+    const lines = (entry) => (entry ? entry.lines.slice(0, 5).join(", ") : "-");
+
+    return `
+            <div class="run-diff-row" role="row">
+                <span class="reconcile-row__code" role="cell">${escapeHTML(
+                  item.key
+                )}</span>
+                ${status(item.before)}
+                ${status(item.after)}
+                <span class="reconcile-row__lines" role="cell">${lines(
+                  item.before
+                )} &rarr; ${lines(item.after)}</span>
+            </div>
+        `;
   }
 
-  loadSampleData() {
-    const sampleData = [
-      "037833100", // Apple
-      "17275R102", // Cisco
-      "38259P508", // Google
-      "68389X105", // Oracle
-      "68389X106", // Oracle (invalid)
-      "594918104", // Microsoft
-      "037833101", // Apple (invalid)
-      "INVALID01", // Invalid format
-      "123456789", // Invalid check digit
-      "987654321" // Invalid check digit
-    ];
-
-    const textarea = document.getElementById("batchInput");
-    if (textarea) {
-      textarea.value = sampleData.join("\n");
-      textarea.dispatchEvent(new Event("input"));
-      this.showToast(
-        "Sample Loaded",
-        "Sample CUSIPs have been loaded for testing",
-        "success"
-      );
+  exportRunComparison(change) {
+    if (!this.runComparison) {
+      this.showToast("No Data", "Compare two runs first", "warning");
+      return;
     }
-  }
 
-  exportResults() {
-    if (!this.lastBatchResults || this.lastBatchResults.length === 0) {
-      this.showToast("No Data", "No batch results to export", "warning");
+    const { report } = this.runComparison;
+    const changes =
+      change === "all" ? Object.keys(CUSIPIO.RUN_CHANGES) : [change];
+    const slug =
+      change === "all"
+        ? "all"
+        : change.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+
+    if (
+      !this.downloadExport(`cusip-run-comparison-${slug}`, {
+        sheet: change === "all" ? "Comparison" : CUSIPIO.RUN_CHANGES[change],
+        table: () => CUSIPIO.runComparisonTable(report, changes),
+        text: (format) => CUSIPIO.formatRunComparison(report, format, changes)
+      })
+    ) {
       return;
     }
 
-    const csvContent = [
-      [
-        "CUSIP",
-        "Valid",
-        "Check Digit",
-        "Calculated",
-        "Validation Time (ms)",
-        "Error"
-      ],
-      ...this.lastBatchResults.map((r) => [
-        r.cusip,
-        r.valid ? "Yes" : "No",
-        r.providedCheckDigit,
-        r.calculatedCheckDigit,
-        r.validationTime.toFixed(2),
-        r.error || ""
-      ])
-    ]
-      .map((row) => row.join(","))
-      .join("\n");
-
-    const blob = new Blob([csvContent], { type: "text/csv" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `cusip-validation-results-${new Date()
-      .toISOString()
-      .slice(0, 10)}.csv`;
-    a.click();
-    URL.revokeObjectURL(url);
-
+    const count = changes.reduce(
+      (total, name) => total + report[name].length,
+      0
+    );
     this.showToast(
       "Export Complete",
-      "Results exported as CSV file",
+      `${count.toLocaleString()} row${
+        count !== 1 ? "s" : ""
+      } exported as ${this.settings.exportFormat.toUpperCase()} file`,
       "success"
     );
   }
@@ -580,6 +4552,8 @@ class CUSIPValidator {
 
       if (viewName === "analytics") {
         this.refreshAnalytics();
+      } else if (viewName === "history") {
+        this.displayHistory();
       }
     } else {
       console.error(`View not found: ${viewName}View`);
@@ -699,6 +4673,30 @@ class CUSIPValidator {
   }
 
   updateAnalytics(result, validationTime) {
+    this.updateHistoryMetrics();
+
+    if (this.charts.timeline) {
+      const labels = this.charts.timeline.data.labels;
+      const data = this.charts.timeline.data.datasets[0].data;
+
+      labels.push(new Date().toLocaleTimeString());
+      data.push(validationTime);
+
+      if (labels.length > 20) {
+        labels.shift();
+        data.shift();
+      }
+
+      this.charts.timeline.update();
+    }
+
+    this.updateActivityLog(result, validationTime);
+  }
+
+  /**
+   * Totals and the distribution chart, from the whole history
+   */
+  updateHistoryMetrics() {
     const history = this.validationHistory;
     const validCount = history.filter((h) => h.result.valid).length;
     const invalidCount = history.filter((h) => !h.result.valid).length;
@@ -722,7 +4720,6 @@ class CUSIPValidator {
       history.length > 0 ? ((validCount / history.length) * 100).toFixed(1) : 0;
     if (successRate) successRate.textContent = `${rate}%`;
 
-    // Update charts
     if (this.charts.distribution) {
       this.charts.distribution.data.datasets[0].data = [
         validCount,
@@ -730,23 +4727,6 @@ class CUSIPValidator {
       ];
       this.charts.distribution.update();
     }
-
-    if (this.charts.timeline) {
-      const labels = this.charts.timeline.data.labels;
-      const data = this.charts.timeline.data.datasets[0].data;
-
-      labels.push(new Date().toLocaleTimeString());
-      data.push(validationTime);
-
-      if (labels.length > 20) {
-        labels.shift();
-        data.shift();
-      }
-
-      this.charts.timeline.update();
-    }
-
-    this.updateActivityLog(result, validationTime);
   }
 
   updateActivityLog(result, validationTime) {
@@ -816,6 +4796,16 @@ class CUSIPValidator {
     }, 5000);
   }
 
+  async copyToClipboard(text) {
+    try {
+      await navigator.clipboard.writeText(text);
+      this.showToast("Copied", `${text} copied to clipboard`, "success");
+    } catch (error) {
+      console.warn("Clipboard write failed:", error);
+      this.showToast("Copy Failed", "Clipboard access was denied", "error");
+    }
+  }
+
   getToastIcon(type) {
     const icons = {
       success: "fa-check-circle",
@@ -872,42 +4862,390 @@ class CUSIPValidator {
 
   /**
    * History Management
+   *
+   * Single validations are kept in IndexedDB (where that is unavailable,
+   * for the session only) and pruned by the retention settings. The whole
+   * history is also held in memory, newest first, for the analytics and the
+   * History view.
+   */
+  async loadHistory() {
+    let entries;
+    try {
+      entries = await CUSIPStore.getAll("history");
+      this.lastHistoryId = entries.reduce(
+        (max, entry) => Math.max(max, entry.id),
+        this.lastHistoryId
+      );
+
+      // One-off move of the history kept in localStorage by earlier versions
+      const legacy = this.readLegacyHistory();
+      if (legacy.length > 0) {
+        await CUSIPStore.putMany("history", legacy);
+        localStorage.removeItem(LEGACY_HISTORY_KEY);
+        entries = entries.concat(legacy);
+      }
+    } catch (error) {
+      console.warn("Failed to load history:", error);
+      entries = this.readLegacyHistory();
+    }
+
+    // Keep anything validated while the store was loading
+    const byId = new Map();
+    entries
+      .concat(this.validationHistory)
+      .forEach((entry) => byId.set(entry.id, entry));
+    this.validationHistory = [...byId.values()].sort(
+      (a, b) => b.timestamp - a.timestamp || b.id - a.id
+    );
+
+    this.pruneHistory();
+    this.refreshHistory();
+  }
+
+  /**
+   * History saved in localStorage before it moved to IndexedDB, with ids
    */
+  readLegacyHistory() {
+    let saved;
+    try {
+      saved = JSON.parse(localStorage.getItem(LEGACY_HISTORY_KEY) || "[]");
+    } catch (error) {
+      console.warn("Failed to read saved history:", error);
+      return [];
+    }
+
+    return saved
+      .slice()
+      .reverse()
+      .map((entry) => ({ ...entry, id: this.nextHistoryId(entry.timestamp) }))
+      .reverse();
+  }
+
+  // Ids follow the validation time, so they stay unique and increasing
+  nextHistoryId(timestamp) {
+    this.lastHistoryId = Math.max(timestamp, this.lastHistoryId + 1);
+    return this.lastHistoryId;
+  }
+
   addToHistory(cusip, result, validationTime) {
+    const timestamp = Date.now();
     const entry = {
+      id: this.nextHistoryId(timestamp),
       cusip,
       result,
       validationTime,
-      timestamp: Date.now()
+      timestamp
     };
 
     this.validationHistory.unshift(entry);
+    CUSIPStore.put("history", entry).catch((error) =>
+      console.warn("Failed to save history:", error)
+    );
+    this.appendAudit("validation", {
+      historyId: entry.id,
+      identifier: cusip,
+      type: this.historyEntryType(entry),
+      policy: this.getPolicy().name,
+      valid: result.valid,
+      errorCode: result.errorCode || null,
+      error: result.valid ? null : result.error
+    });
+
+    this.pruneHistory();
+    this.updateStats();
+    this.displayHistory();
+  }
+
+  /**
+   * Drops entries older than the retention period or beyond the maximum
+   * count (0 means no limit for either). Returns how many were dropped.
+   */
+  pruneHistory() {
+    const days = this.settings.historyRetentionDays;
+    const max = this.settings.historyMaxEntries;
+    const cutoff = days > 0 ? Date.now() - days * DAY_MS : -Infinity;
+
+    const kept = [];
+    const expired = [];
+    this.validationHistory.forEach((entry) => {
+      if (entry.timestamp >= cutoff && (max === 0 || kept.length < max)) {
+        kept.push(entry);
+      } else {
+        expired.push(entry);
+      }
+    });
+    if (expired.length === 0) return 0;
+
+    this.validationHistory = kept;
+    CUSIPStore.removeMany(
+      "history",
+      expired.map((entry) => entry.id)
+    ).catch((error) => console.warn("Failed to prune history:", error));
+    return expired.length;
+  }
+
+  async deleteHistoryEntry(id) {
+    this.validationHistory = this.validationHistory.filter(
+      (entry) => entry.id !== id
+    );
+    this.refreshHistory();
+
+    try {
+      await CUSIPStore.remove("history", id);
+    } catch (error) {
+      console.warn("Failed to delete history entry:", error);
+    }
+  }
+
+  /**
+   * Validates a history entry again with the current policy and reference
+   * data. The new result is recorded like any other single check.
+   */
+  revalidateHistoryEntry(id) {
+    const entry = this.validationHistory.find((e) => e.id === id);
+    if (!entry) return;
+
+    const startTime = performance.now();
+    const result =
+      entry.cusip.length === CUSIPCore.ISIN_LENGTH
+        ? CUSIPCore.validateISIN(entry.cusip, { policy: this.getPolicy() })
+        : this.validateCUSIP(entry.cusip);
+    const validationTime = performance.now() - startTime;
+
+    this.addToHistory(result.normalized, result, validationTime);
+    this.updateAnalytics(result, validationTime);
+
+    const changed = result.valid !== entry.result.valid;
+    this.showToast(
+      "Validated Again",
+      `${escapeHTML(entry.cusip)} is ${
+        result.valid ? "valid" : `invalid: ${escapeHTML(result.error)}`
+      }${changed ? ` (was ${entry.result.valid ? "valid" : "invalid"})` : ""}`,
+      result.valid ? "success" : "error"
+    );
+  }
+
+  // Header count, analytics totals and the History view after a change
+  refreshHistory() {
+    this.updateStats();
+    this.updateHistoryMetrics();
+    this.displayHistory();
+  }
+
+  /**
+   * History Display Functions
+   */
+  historyEntryType(entry) {
+    return CUSIPCore.detectIdentifier(entry.cusip, {
+      policy: this.getPolicy()
+    });
+  }
+
+  // Identifier, type, status, error, security master data and CUSIP
+  // change of an entry; what the History view search looks through
+  historyEntryText(entry) {
+    const type = this.historyEntryType(entry);
+    const { security } = CUSIPIO.lookupSecurity(
+      { type, ...entry.result },
+      this.securityMaster
+    );
+
+    return [
+      entry.cusip,
+      type,
+      entry.result.valid ? "valid" : "invalid",
+      entry.result.errorCode,
+      entry.result.error,
+      security ? securityText(security) : "",
+      entry.result.change ? changeText(entry.result.change) : ""
+    ]
+      .filter(Boolean)
+      .join(" · ");
+  }
+
+  /**
+   * Entries matching the History view filters: every search term, the
+   * status and the date range (local days, both ends included).
+   */
+  filteredHistory() {
+    const { search, status, from, to } = this.historyView;
+    const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+    const start = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+    let end = Infinity;
+    if (to) {
+      const day = new Date(`${to}T00:00:00`);
+      day.setDate(day.getDate() + 1);
+      end = day.getTime();
+    }
+
+    return this.validationHistory.filter((entry) => {
+      if (entry.timestamp < start || entry.timestamp >= end) return false;
+      if (status === "valid" && !entry.result.valid) return false;
+      if (status === "invalid" && entry.result.valid) return false;
+      if (terms.length === 0) return true;
+
+      const text = this.historyEntryText(entry).toLowerCase();
+      return terms.every((term) => text.includes(term));
+    });
+  }
 
-    if (this.validationHistory.length > 1000) {
-      this.validationHistory = this.validationHistory.slice(0, 1000);
+  displayHistory() {
+    const view = document.getElementById("historyView");
+    const container = document.getElementById("historyResults");
+    if (!view || !container || !view.classList.contains("active")) return;
+
+    if (this.validationHistory.length === 0) {
+      container.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-history"></i>
+                <p>No validations yet. Single checks are recorded here.</p>
+            </div>
+        `;
+      return;
     }
 
-    this.saveHistory();
+    const matches = this.filteredHistory();
+    const pages = Math.max(1, Math.ceil(matches.length / HISTORY_PAGE_SIZE));
+    const page = Math.min(Math.max(this.historyView.page, 0), pages - 1);
+    this.historyView.page = page;
+    const shown = matches.slice(
+      page * HISTORY_PAGE_SIZE,
+      (page + 1) * HISTORY_PAGE_SIZE
+    );
+
+    container.innerHTML = `
+            <div class="history-toolbar">
+                <span>
+                    ${matches.length.toLocaleString()} of ${this.validationHistory.length.toLocaleString()} entries
+                </span>
+            </div>
+            ${
+              matches.length === 0
+                ? `
+                <div class="empty-state">
+                    <i class="fas fa-filter"></i>
+                    <p>No entries match the filters</p>
+                </div>
+            `
+                : `
+                <div class="history-table" role="table">
+                    <div class="history-row history-row--header" role="row">
+                        <span role="columnheader">Validated</span>
+                        <span role="columnheader">Identifier</span>
+                        <span role="columnheader">Type</span>
+                        <span role="columnheader">Details</span>
+                        <span role="columnheader">Time</span>
+                        <span role="columnheader"><span class="sr-only">Actions</span></span>
+                    </div>
+                    ${shown
+                      .map((entry) => this.renderHistoryRow(entry))
+                      .join("")}
+                </div>
+                <div class="history-pager">
+                    <button class="btn btn--secondary" data-history-page="prev"${
+                      page === 0 ? " disabled" : ""
+                    }>
+                        <i class="fas fa-chevron-left"></i> Previous
+                    </button>
+                    <span>Page ${page + 1} of ${pages}</span>
+                    <button class="btn btn--secondary" data-history-page="next"${
+                      page === pages - 1 ? " disabled" : ""
+                    }>
+                        Next <i class="fas fa-chevron-right"></i>
+                    </button>
+                </div>
+            `
+            }
+        `;
+  }
+
+  renderHistoryRow(entry) {
+    const { result } = entry;
+    const type = this.historyEntryType(entry);
+    const { security } = CUSIPIO.lookupSecurity(
+      { type, ...result },
+      this.securityMaster
+    );
+    const details = result.valid
+      ? [
+          security ? securityText(security) : "",
+          result.change ? changeText(result.change) : ""
+        ]
+          .filter(Boolean)
+          .join(" · ")
+      : result.error;
+
+    return `
+            <div class="history-row" role="row">
+                <span class="history-row__time" role="cell">${new Date(
+                  entry.timestamp
+                ).toLocaleString()}</span>
+                <span class="history-row__code ${
+                  result.valid ? "valid" : "invalid"
+                }" role="cell">${escapeHTML(entry.cusip)}</span>
+                <span role="cell">${escapeHTML(type || "-")}</span>
+                <span class="history-row__details" role="cell">${escapeHTML(
+                  details || "Valid"
+                )}</span>
+                <span class="history-row__timing" role="cell">${entry.validationTime.toFixed(
+                  1
+                )}ms</span>
+                <span class="history-row__actions" role="cell">
+                    <button class="history-action" data-history-action="revalidate" data-id="${
+                      entry.id
+                    }" title="Validate again with the current policy" aria-label="Validate ${escapeHTML(
+      entry.cusip
+    )} again">
+                        <i class="fas fa-redo"></i>
+                    </button>
+                    <button class="history-action history-action--delete" data-history-action="delete" data-id="${
+                      entry.id
+                    }" title="Delete from history" aria-label="Delete ${escapeHTML(
+      entry.cusip
+    )} from history">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </span>
+            </div>
+        `;
   }
 
-  saveHistory() {
+  /**
+   * Settings Management
+   */
+  loadSettings() {
+    const defaults = {
+      isinCountry: "US",
+      cinsCountry: "",
+      policy: "standard",
+      repairSpreadsheet: true,
+      exportFormat: "csv",
+      exportAllFields: false,
+      masterSource: null,
+      changesSource: null,
+      // Days and entries of history kept; 0 keeps everything
+      historyRetentionDays: 365,
+      historyMaxEntries: 10000,
+      auditMode: false
+    };
+
     try {
-      localStorage.setItem(
-        "cusipValidationHistory",
-        JSON.stringify(this.validationHistory)
-      );
+      const saved = localStorage.getItem("cusipValidatorSettings");
+      return saved ? { ...defaults, ...JSON.parse(saved) } : defaults;
     } catch (error) {
-      console.warn("Failed to save history:", error);
+      console.warn("Failed to load settings:", error);
+      return defaults;
     }
   }
 
-  loadHistory() {
+  saveSettings() {
     try {
-      const saved = localStorage.getItem("cusipValidationHistory");
-      return saved ? JSON.parse(saved) : [];
+      localStorage.setItem(
+        "cusipValidatorSettings",
+        JSON.stringify(this.settings)
+      );
     } catch (error) {
-      console.warn("Failed to load history:", error);
-      return [];
+      console.warn("Failed to save settings:", error);
     }
   }
 }
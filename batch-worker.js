@@ -0,0 +1,80 @@
+/**
+ * Batch Worker - validates batch lines off the main thread
+ *
+ * Messages in:
+ *   { type: "start", lines, options }  options as for CUSIPIO.validateLine()
+ *   { type: "pause" } / { type: "resume" } / { type: "cancel" }
+ *
+ * Messages out:
+ *   { type: "progress", results, processed, total }  after every chunk
+ *   { type: "done" } or { type: "cancelled", processed }
+ */
+importScripts("cusip-core.js", "cusip-io.js");
+
+const CHUNK_SIZE = 1000;
+
+let job = null;
+
+function runChunk() {
+  if (!job || job.paused) return;
+
+  const { lines, options } = job;
+  const end = Math.min(job.index + CHUNK_SIZE, lines.length);
+  const results = [];
+  for (let i = job.index; i < end; i++) {
+    results.push(CUSIPIO.validateLine(lines[i], options));
+  }
+  job.index = end;
+
+  self.postMessage({
+    type: "progress",
+    results,
+    processed: end,
+    total: lines.length
+  });
+
+  if (end >= lines.length) {
+    job = null;
+    self.postMessage({ type: "done" });
+    return;
+  }
+
+  // Yield between chunks so pause and cancel messages are handled
+  job.timer = setTimeout(runChunk, 0);
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  switch (message.type) {
+    case "start":
+      job = {
+        lines: message.lines,
+        options: message.options,
+        index: 0,
+        paused: false,
+        timer: null
+      };
+      runChunk();
+      break;
+    case "pause":
+      if (job) {
+        job.paused = true;
+        clearTimeout(job.timer);
+      }
+      break;
+    case "resume":
+      if (job && job.paused) {
+        job.paused = false;
+        runChunk();
+      }
+      break;
+    case "cancel":
+      if (job) {
+        clearTimeout(job.timer);
+        self.postMessage({ type: "cancelled", processed: job.index });
+        job = null;
+      }
+      break;
+  }
+};
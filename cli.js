@@ -0,0 +1,464 @@
+#!/usr/bin/env node
+/**
+ * CUSIP Validator CLI
+ *
+ * Validates identifiers from files or stdin with the same engine as the web
+ * UI (cusip-core.js) and writes results in the batch export format
+ * (cusip-io.js). The summary goes to stderr so stdout stays machine-readable.
+ *
+ * Exit codes: 0 when every identifier is valid, 1 when any fails,
+ * 2 on usage or I/O errors. --reconcile and --verify-audit have their own
+ * meaning for 0 and 1 (see below).
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const CUSIPCore = require("./cusip-core");
+const CUSIPIO = require("./cusip-io");
+const CUSIPAudit = require("./cusip-audit");
+
+const USAGE = `Usage: node cli.js [options] [file ...]
+
+Reads identifiers one per line (or from a CSV column) from each file, or
+from stdin when no file (or "-") is given. CUSIP, CINS, ISIN, SEDOL and
+FIGI are detected automatically.
+
+Options:
+  -c, --column <name>       Read identifiers from this CSV column (header row required)
+  -x, --extract             Pick CUSIPs out of free text (emails, trade confirms); near misses go to stderr
+  -d, --delimiter <char>    CSV delimiter (default: tab for .tsv files, otherwise ",")
+  -f, --format <format>     Output format: csv, json or ndjson (default: csv)
+      --fields <set>        Columns to write: basic or all (default: all)
+  -o, --output <file>       Write results to a file instead of stdout
+  -p, --policy <name>       Validation policy: strict, standard or lenient (default: standard)
+      --no-repair           Do not repair spreadsheet damage (lost zeros, quotes, separators)
+      --dedupe              Write each identifier once (its first occurrence)
+      --issuers <by>        Write one row per issuer instead, grouped by issuer number (prefix) or name
+      --reconcile <file>    Compare the input (left) with the CUSIPs in this file (right) and write the differences
+      --verify-audit <file> Check the signature and hash chain of an audit bundle exported by the web UI
+  -m, --master <file>       Security master (CSV or JSON) to add issuer, ticker, asset class and status
+      --changes <file>      CUSIP changes (CSV or JSON, old -> new CUSIP) to flag superseded identifiers
+      --substitute          Write superseded identifiers as their current replacement (needs --changes)
+      --isin-country <CC>   ISIN country for CUSIPs (default: US)
+      --cins-country <CC>   ISIN country for CINS numbers (default: from the CINS letter)
+  -q, --quiet               Do not print the summary
+  -h, --help                Show this help
+`;
+
+const VALUE_OPTIONS = {
+  "-c": "column",
+  "--column": "column",
+  "-d": "delimiter",
+  "--delimiter": "delimiter",
+  "-f": "format",
+  "--format": "format",
+  "--fields": "fields",
+  "-o": "output",
+  "--output": "output",
+  "-p": "policy",
+  "--policy": "policy",
+  "-m": "master",
+  "--master": "master",
+  "--changes": "changes",
+  "--issuers": "issuers",
+  "--reconcile": "reconcile",
+  "--verify-audit": "verifyAudit",
+  "--isin-country": "isinCountry",
+  "--cins-country": "cinsCountry"
+};
+
+function parseArgs(argv) {
+  const options = {
+    format: "csv",
+    fields: "all",
+    policy: "standard",
+    repair: true,
+    extract: false,
+    dedupe: false,
+    substitute: false,
+    isinCountry: "US",
+    cinsCountry: "",
+    quiet: false,
+    help: false
+  };
+  const files = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg in VALUE_OPTIONS) {
+      if (i + 1 >= argv.length) {
+        throw new Error(`${arg} needs a value`);
+      }
+      options[VALUE_OPTIONS[arg]] = argv[++i];
+    } else if (arg === "--no-repair") {
+      options.repair = false;
+    } else if (arg === "-x" || arg === "--extract") {
+      options.extract = true;
+    } else if (arg === "--dedupe") {
+      options.dedupe = true;
+    } else if (arg === "--substitute") {
+      options.substitute = true;
+    } else if (arg === "-q" || arg === "--quiet") {
+      options.quiet = true;
+    } else if (arg === "-h" || arg === "--help") {
+      options.help = true;
+    } else if (arg.startsWith("-") && arg !== "-") {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      files.push(arg);
+    }
+  }
+
+  if (!CUSIPIO.EXPORT_FORMATS.includes(options.format)) {
+    throw new Error(
+      `--format must be one of ${CUSIPIO.EXPORT_FORMATS.join(", ")}`
+    );
+  }
+
+  if (!CUSIPIO.EXPORT_FIELDS.includes(options.fields)) {
+    throw new Error(
+      `--fields must be one of ${CUSIPIO.EXPORT_FIELDS.join(", ")}`
+    );
+  }
+
+  if (options.issuers && !CUSIPIO.ISSUER_GROUPINGS.includes(options.issuers)) {
+    throw new Error(
+      `--issuers must be one of ${CUSIPIO.ISSUER_GROUPINGS.join(", ")}`
+    );
+  }
+
+  if (options.extract && options.column) {
+    throw new Error(
+      "--extract reads free text; it cannot be used with --column"
+    );
+  }
+
+  if (options.substitute && !options.changes) {
+    throw new Error("--substitute needs --changes");
+  }
+
+  // Fails early on an unknown policy name
+  CUSIPCore.resolvePolicy(options.policy);
+
+  return { options, files: files.length > 0 ? files : ["-"] };
+}
+
+function readSource(file) {
+  return fs.readFileSync(file === "-" ? 0 : file, "utf8");
+}
+
+/**
+ * Identifiers in one source: non-blank lines, or the non-blank cells of the
+ * named CSV column (matched case-insensitively).
+ */
+function extractIdentifiers(text, file, options) {
+  if (!options.column) {
+    return text.split(/\r?\n/).filter((line) => line.trim().length > 0);
+  }
+
+  const delimiter =
+    options.delimiter ||
+    (path.extname(file).toLowerCase() === ".tsv" ? "\t" : ",");
+  const [header = [], ...rows] = CUSIPIO.parseCSV(text, { delimiter });
+  const wanted = options.column.trim().toLowerCase();
+  const index = header.findIndex(
+    (name) => name.trim().toLowerCase() === wanted
+  );
+
+  if (index === -1) {
+    throw new Error(
+      `Column "${options.column}" not found in ${
+        file === "-" ? "stdin" : file
+      } (columns: ${header.join(", ")})`
+    );
+  }
+
+  return rows
+    .map((row) => row[index] || "")
+    .filter((value) => value.trim().length > 0);
+}
+
+/**
+ * --extract: the CUSIPs found in free text, each once. Near misses are
+ * listed on stderr with their suggested corrections, not validated.
+ */
+function extractFromText(text, file, options) {
+  const { matches, nearMisses } = CUSIPIO.extractCUSIPs(text, {
+    policy: options.policy
+  });
+
+  if (!options.quiet) {
+    nearMisses.forEach((entry) => {
+      const { line } = entry.occurrences[0];
+      process.stderr.write(
+        `Near miss ${entry.cusip} (${
+          file === "-" ? "stdin" : file
+        } line ${line}): ${
+          entry.result.error
+        }; did you mean ${entry.suggestions.map((s) => s.cusip).join(", ")}?\n`
+      );
+    });
+  }
+
+  return matches.map((entry) => entry.cusip);
+}
+
+/**
+ * Security master from a CSV/TSV or JSON reference file, as a Map keyed by
+ * CUSIP for CUSIPIO.lookupSecurity().
+ */
+function loadMaster(file) {
+  const text = readSource(file);
+  const extension = path.extname(file).slice(1).toLowerCase();
+  const { securities } = CUSIPIO.parseSecurityMaster(text, {
+    format: extension === "json" ? "json" : "csv",
+    delimiter: CUSIPIO.detectDelimiter(text, extension)
+  });
+
+  return new Map(securities.map((security) => [security.cusip, security]));
+}
+
+/**
+ * CUSIP changes from a CSV/TSV or JSON file, as a Map keyed by old CUSIP
+ * for CUSIPIO.findReplacement().
+ */
+function loadChanges(file) {
+  const text = readSource(file);
+  const extension = path.extname(file).slice(1).toLowerCase();
+  const { changes } = CUSIPIO.parseCUSIPChanges(text, {
+    format: extension === "json" ? "json" : "csv",
+    delimiter: CUSIPIO.detectDelimiter(text, extension)
+  });
+
+  return new Map(changes.map((change) => [change.oldCusip, change]));
+}
+
+/**
+ * Valid/invalid counts, the per-type breakdown, identifiers missing from
+ * the security master, superseded and repeated identifiers, as in the batch
+ * summary.
+ */
+function summarize(results) {
+  const valid = results.filter((r) => r.valid).length;
+  const unknown = results.filter((r) => r.unknownToMaster).length;
+  const superseded = results.filter((r) => r.change && !r.change.pending);
+  const counts = {};
+  results.forEach((r) => {
+    counts[r.type] = (counts[r.type] || 0) + 1;
+  });
+
+  const types = [...CUSIPCore.IDENTIFIER_TYPES, "UNKNOWN"]
+    .filter((type) => counts[type])
+    .map((type) => `${type} ${counts[type]}`)
+    .join(", ");
+
+  return [
+    `Validated ${results.length} identifier${
+      results.length !== 1 ? "s" : ""
+    }: ${valid} valid, ${results.length - valid} invalid`,
+    `Types: ${types}`,
+    ...(unknown > 0
+      ? [
+          `Not in the security master: ${unknown} valid identifier${
+            unknown !== 1 ? "s" : ""
+          }`
+        ]
+      : []),
+    ...superseded.map(
+      (r) =>
+        `Superseded ${r.normalized}: now ${r.change.identifier}${
+          r.change.effectiveDate ? ` since ${r.change.effectiveDate}` : ""
+        }${r.change.reason ? ` (${r.change.reason})` : ""}`
+    ),
+    ...CUSIPIO.findDuplicates(results).map(
+      (duplicate) =>
+        `Duplicate ${duplicate.key}: ${duplicate.count} times (${
+          duplicate.kind === "exact" ? "entries" : "normalized; entries"
+        } ${duplicate.lines.join(", ")})`
+    )
+  ].join("\n");
+}
+
+/**
+ * Writes to --output or stdout; false (after reporting) on an I/O error.
+ */
+function writeOutput(output, options) {
+  try {
+    if (options.output) {
+      fs.writeFileSync(options.output, output);
+    } else {
+      process.stdout.write(output);
+    }
+    return true;
+  } catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    return false;
+  }
+}
+
+/**
+ * --reconcile: every bucket of CUSIPIO.reconcileLists() in the output and
+ * the bucket counts in the summary. Exit code 0 when the lists agree.
+ */
+function reconcile(left, right, options) {
+  const report = CUSIPIO.reconcileLists(left, right, {
+    policy: options.policy,
+    repairSpreadsheet: options.repair
+  });
+
+  if (
+    !writeOutput(
+      `${CUSIPIO.formatReconciliation(report, options.format)}\n`,
+      options
+    )
+  ) {
+    return 2;
+  }
+
+  if (!options.quiet) {
+    const counts = Object.entries(CUSIPIO.RECONCILE_BUCKETS)
+      .map(([bucket, label]) => `${label} ${report[bucket].length}`)
+      .join(", ");
+    process.stderr.write(
+      `Reconciled ${report.left.identifiers} left and ${report.right.identifiers} right identifiers: ${counts}\n`
+    );
+  }
+
+  return report.both.length === report.left.identifiers &&
+    report.both.length === report.right.identifiers
+    ? 0
+    : 1;
+}
+
+/**
+ * --verify-audit: checks an audit bundle's signature and hash chain and
+ * prints what it found. Exit code 0 when both hold, 1 when either fails.
+ */
+async function verifyAudit(file) {
+  let bundle;
+  let report;
+  let fingerprint;
+  try {
+    bundle = JSON.parse(readSource(file));
+    report = await CUSIPAudit.verifyBundle(bundle);
+    fingerprint = await CUSIPAudit.keyFingerprint(bundle.publicKey);
+  } catch (error) {
+    process.stderr.write(`${file}: ${error.message}\n`);
+    return 2;
+  }
+
+  const { chain } = report;
+  const lines = [
+    `Audit bundle exported ${bundle.exportedAt}, ${chain.count} entries`,
+    `Signature: ${
+      report.signatureValid ? "valid" : "INVALID"
+    } (key ${fingerprint})`,
+    `Chain: ${chain.valid ? "intact" : "BROKEN"}`,
+    ...chain.problems.map((problem) => `  ${problem.message}`)
+  ];
+  process.stdout.write(`${lines.join("\n")}\n`);
+
+  return report.valid ? 0 : 1;
+}
+
+function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { options, files } = parsed;
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  if (options.verifyAudit) return verifyAudit(options.verifyAudit);
+
+  let identifiers = [];
+  let master = null;
+  let changes = null;
+  let counterpart = null;
+  try {
+    if (options.master) master = loadMaster(options.master);
+    if (options.changes) changes = loadChanges(options.changes);
+    if (options.reconcile) {
+      counterpart = extractIdentifiers(
+        readSource(options.reconcile),
+        options.reconcile,
+        options
+      );
+    }
+    files.forEach((file) => {
+      const text = readSource(file);
+      identifiers = identifiers.concat(
+        options.extract
+          ? extractFromText(text, file, options)
+          : extractIdentifiers(text, file, options)
+      );
+    });
+  } catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    return 2;
+  }
+
+  if (identifiers.length === 0) {
+    process.stderr.write("No identifiers to validate\n");
+    return 2;
+  }
+
+  if (counterpart) return reconcile(identifiers, counterpart, options);
+
+  const results = identifiers.map((identifier) =>
+    CUSIPIO.validateLine(identifier, {
+      policy: options.policy,
+      repairSpreadsheet: options.repair
+    })
+  );
+  if (master) {
+    results.forEach((result) => {
+      const { security, unknown } = CUSIPIO.lookupSecurity(result, master);
+      result.security = security;
+      result.unknownToMaster = unknown;
+    });
+  }
+  if (changes) {
+    results.forEach((result) => {
+      result.change = CUSIPIO.findReplacement(result, changes);
+    });
+  }
+
+  let written = options.dedupe ? CUSIPIO.uniqueResults(results) : results;
+  if (options.substitute) {
+    written = CUSIPIO.substituteReplacements(written, { master });
+  }
+  const output = `${
+    options.issuers
+      ? CUSIPIO.formatIssuerSummary(
+          CUSIPIO.groupByIssuer(written, { by: options.issuers }),
+          options.format
+        )
+      : CUSIPIO.formatResults(written, options.format, {
+          fields: options.fields,
+          countryCode: options.isinCountry,
+          cinsCountryCode: options.cinsCountry
+        })
+  }\n`;
+
+  if (!writeOutput(output, options)) return 2;
+
+  if (!options.quiet) {
+    process.stderr.write(`${summarize(results)}\n`);
+  }
+
+  return results.every((r) => r.valid) ? 0 : 1;
+}
+
+Promise.resolve(main(process.argv.slice(2))).then((code) => {
+  process.exitCode = code;
+});
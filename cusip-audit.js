@@ -0,0 +1,273 @@
+/**
+ * CUSIP Audit - tamper-evident log of validations
+ *
+ * Each entry is chained to the one before it: its hash is the SHA-256 of
+ * its sequence number, time, kind, record and the previous entry's hash.
+ * Editing, removing or reordering stored entries breaks the chain, which
+ * verifyChain() reports. An audit bundle is the log plus an ECDSA P-256
+ * signature over it, with the public key to check it by.
+ *
+ * Hashing and signing use Web Crypto, so every function returns a promise.
+ * Browsers only offer it in secure contexts (https, localhost, file).
+ *
+ * Loading:
+ *   - Node / CommonJS:  const CUSIPAudit = require("./cusip-audit");
+ *   - Browser script:   load before advanced.js -> window.CUSIPAudit
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CUSIPAudit = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // What the first entry chains to
+  const GENESIS_HASH = "0".repeat(64);
+
+  const BUNDLE_FORMAT = "cusip-audit-bundle";
+  const BUNDLE_VERSION = 1;
+
+  const SIGNING_ALGORITHM = { name: "ECDSA", namedCurve: "P-256" };
+  const SIGNATURE_ALGORITHM = { name: "ECDSA", hash: "SHA-256" };
+
+  function subtle() {
+    if (typeof crypto === "undefined" || !crypto.subtle) {
+      throw new Error(
+        "Web Crypto is not available (it needs https, localhost or a local file)"
+      );
+    }
+    return crypto.subtle;
+  }
+
+  /**
+   * JSON with object keys sorted at every level, so equal values always
+   * hash the same. Undefined properties are left out, as JSON.stringify().
+   */
+  function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+      return `[${value
+        .map((item) => (item === undefined ? "null" : canonicalJSON(item)))
+        .join(",")}]`;
+    }
+    if (value !== null && typeof value === "object") {
+      return `{${Object.keys(value)
+        .filter((key) => value[key] !== undefined)
+        .sort()
+        .map((key) => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+        .join(",")}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer))
+      .map((byte) => byte.toString(16).padStart(2, "0"))
+      .join("");
+  }
+
+  function toBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+  }
+
+  function fromBase64(text) {
+    return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+  }
+
+  async function sha256(text) {
+    const digest = await subtle().digest(
+      "SHA-256",
+      new TextEncoder().encode(text)
+    );
+    return toHex(digest);
+  }
+
+  // What an entry's hash covers: everything but the hash itself
+  function entryHash(entry) {
+    const { hash, ...content } = entry;
+    return sha256(canonicalJSON(content));
+  }
+
+  /**
+   * The entry that follows `previous` (null for the first one): { seq,
+   * timestamp, kind, record, prevHash, hash }. `kind` names what was
+   * logged ("validation", "batch", ...); `record` is any JSON value.
+   */
+  async function createEntry(previous, kind, record, { timestamp } = {}) {
+    const entry = {
+      seq: previous ? previous.seq + 1 : 1,
+      timestamp: timestamp || Date.now(),
+      kind,
+      record,
+      prevHash: previous ? previous.hash : GENESIS_HASH
+    };
+    entry.hash = await entryHash(entry);
+    return entry;
+  }
+
+  /**
+   * Checks a log (entries in sequence order). Returns { valid, count,
+   * problems }, each problem { seq, type, message } where `type` is:
+   *   - "modified":  the entry does not match its hash
+   *   - "link":      the entry does not chain to the one before it
+   *   - "gap":       entries are missing before this one
+   *   - "truncated": entries are missing after the last one; needs `head`,
+   *                  the { seq, hash } of the last entry known to exist
+   */
+  async function verifyChain(entries, { head } = {}) {
+    const problems = [];
+    let previous = null;
+
+    for (const entry of entries) {
+      const expectedSeq = previous ? previous.seq + 1 : 1;
+      if (entry.seq !== expectedSeq) {
+        problems.push({
+          seq: entry.seq,
+          type: "gap",
+          message:
+            entry.seq === expectedSeq + 1
+              ? `Entry #${expectedSeq} is missing`
+              : entry.seq > expectedSeq
+              ? `Entries #${expectedSeq}-#${entry.seq - 1} are missing`
+              : `Entry #${entry.seq} is out of sequence`
+        });
+      } else if (entry.prevHash !== (previous ? previous.hash : GENESIS_HASH)) {
+        problems.push({
+          seq: entry.seq,
+          type: "link",
+          message: `Entry #${entry.seq} does not chain to the entry before it`
+        });
+      }
+
+      if ((await entryHash(entry)) !== entry.hash) {
+        problems.push({
+          seq: entry.seq,
+          type: "modified",
+          message: `Entry #${entry.seq} has been modified`
+        });
+      }
+      previous = entry;
+    }
+
+    if (head && head.seq > 0) {
+      const last = entries[entries.length - 1];
+      if (!last || last.seq < head.seq) {
+        problems.push({
+          seq: head.seq,
+          type: "truncated",
+          message: `Entries after #${
+            last ? last.seq : 0
+          } are missing (the log reached #${head.seq})`
+        });
+      } else if (last.seq === head.seq && last.hash !== head.hash) {
+        problems.push({
+          seq: head.seq,
+          type: "modified",
+          message: `Entry #${head.seq} is not the one last recorded`
+        });
+      }
+    }
+
+    return { valid: problems.length === 0, count: entries.length, problems };
+  }
+
+  /**
+   * A new signing key pair. The private key cannot be exported; keep the
+   * pair (e.g. in IndexedDB) to sign later bundles with the same key.
+   */
+  function generateSigningKey() {
+    return subtle().generateKey(SIGNING_ALGORITHM, false, ["sign", "verify"]);
+  }
+
+  /**
+   * SHA-256 of a public key (JWK), to compare against a fingerprint
+   * recorded elsewhere when deciding whether to trust a bundle's signer.
+   */
+  function keyFingerprint(jwk) {
+    const { kty, crv, x, y } = jwk;
+    return sha256(canonicalJSON({ kty, crv, x, y }));
+  }
+
+  /**
+   * Signs a log: { format, version, exportedAt, head, entries, publicKey,
+   * signature }. The signature (base64) covers the canonical JSON of
+   * everything else; `publicKey` is a JWK.
+   */
+  async function signBundle(entries, keyPair, { exportedAt } = {}) {
+    const last = entries[entries.length - 1];
+    const bundle = {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: exportedAt || new Date().toISOString(),
+      head: last ? { seq: last.seq, hash: last.hash } : null,
+      entries,
+      publicKey: await subtle().exportKey("jwk", keyPair.publicKey)
+    };
+
+    const signature = await subtle().sign(
+      SIGNATURE_ALGORITHM,
+      keyPair.privateKey,
+      new TextEncoder().encode(canonicalJSON(bundle))
+    );
+    return { ...bundle, signature: toBase64(signature) };
+  }
+
+  /**
+   * Checks a bundle's signature against its public key and its chain.
+   * Returns { valid, signatureValid, chain } with `chain` as for
+   * verifyChain(). The signature proves the bundle is unchanged since it
+   * was signed by that key; who holds the key is for the reader to confirm.
+   */
+  async function verifyBundle(bundle) {
+    if (
+      !bundle ||
+      bundle.format !== BUNDLE_FORMAT ||
+      !Array.isArray(bundle.entries)
+    ) {
+      throw new Error("Not a CUSIP audit bundle");
+    }
+    if (bundle.version !== BUNDLE_VERSION) {
+      throw new Error(`Unsupported audit bundle version ${bundle.version}`);
+    }
+
+    const { signature, ...signed } = bundle;
+    let signatureValid = false;
+    try {
+      const publicKey = await subtle().importKey(
+        "jwk",
+        bundle.publicKey,
+        SIGNING_ALGORITHM,
+        false,
+        ["verify"]
+      );
+      signatureValid = await subtle().verify(
+        SIGNATURE_ALGORITHM,
+        publicKey,
+        fromBase64(signature),
+        new TextEncoder().encode(canonicalJSON(signed))
+      );
+    } catch (error) {
+      // A malformed key or signature does not verify
+      signatureValid = false;
+    }
+
+    const chain = await verifyChain(bundle.entries, {
+      head: bundle.head || undefined
+    });
+    return { valid: signatureValid && chain.valid, signatureValid, chain };
+  }
+
+  return {
+    GENESIS_HASH,
+    BUNDLE_FORMAT,
+    canonicalJSON,
+    sha256,
+    createEntry,
+    verifyChain,
+    generateSigningKey,
+    keyFingerprint,
+    signBundle,
+    verifyBundle
+  };
+});
@@ -0,0 +1,1336 @@
+/**
+ * CUSIP Core - DOM-free validation engine
+ *
+ * The single source of truth for the CUSIP rules. It has no dependency on
+ * `document`, `localStorage` or Chart.js, so the same file is used by the
+ * web UI (advanced.js), Basic.js and Node services.
+ *
+ * Loading:
+ *   - Node / CommonJS:  const CUSIPCore = require("./cusip-core");
+ *   - ES modules:       import CUSIPCore from "./cusip-core.mjs";
+ *   - Browser script:   <script src="cusip-core.js"></script> -> window.CUSIPCore
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CUSIPCore = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const CUSIP_LENGTH = 9;
+  const BASE_LENGTH = 8;
+  const VALID_CHARS = /^[0-9A-Z*@#]+$/;
+
+  const SPECIAL_CHAR_VALUES = {
+    "*": 36,
+    "@": 37,
+    "#": 38
+  };
+
+  /**
+   * Numeric value of a CUSIP character:
+   * digits at face value, A-Z = 10-35, * = 36, @ = 37, # = 38.
+   * Returns null for anything else.
+   */
+  function charValue(char) {
+    if (char >= "0" && char <= "9") {
+      return char.charCodeAt(0) - "0".charCodeAt(0);
+    }
+    if (char >= "A" && char <= "Z") {
+      return char.charCodeAt(0) - "A".charCodeAt(0) + 10;
+    }
+    if (char in SPECIAL_CHAR_VALUES) {
+      return SPECIAL_CHAR_VALUES[char];
+    }
+    return null;
+  }
+
+  /**
+   * Canonical form of user input: surrounding whitespace removed, uppercased.
+   */
+  function normalize(cusip) {
+    if (typeof cusip !== "string") return "";
+    return cusip.trim().toUpperCase();
+  }
+
+  /**
+   * Stable, machine-readable error codes carried as `errorCode` on failed
+   * results; `error` keeps the human-readable message.
+   */
+  const ERROR_CODES = Object.freeze({
+    EMPTY: "EMPTY",
+    INVALID_TYPE: "INVALID_TYPE",
+    LENGTH: "LENGTH",
+    CHARSET: "CHARSET",
+    NON_NUMERIC_CHECK: "NON_NUMERIC_CHECK",
+    CHECK_DIGIT: "CHECK_DIGIT",
+    FORMAT: "FORMAT",
+    COUNTRY_CODE: "COUNTRY_CODE",
+    SCIENTIFIC_NOTATION: "SCIENTIFIC_NOTATION"
+  });
+
+  /**
+   * Failed result. `index` is the 0-based offending position in `normalized`
+   * (null when the error is not about a single character); `errorChar` is
+   * the character found there.
+   */
+  function failure(errorCode, error, normalized, index = null, extra = {}) {
+    return {
+      valid: false,
+      normalized,
+      ...extra,
+      errorCode,
+      error,
+      errorIndex: index,
+      errorChar: index !== null && normalized ? normalized[index] || null : null
+    };
+  }
+
+  /**
+   * Shared EMPTY / INVALID_TYPE screening. Returns a failed result, or null
+   * when `value` is a non-blank string.
+   */
+  function rejectBlank(value, label) {
+    if (value === null || value === undefined) {
+      return failure(ERROR_CODES.EMPTY, `${label} is empty`, "");
+    }
+    if (typeof value !== "string") {
+      return failure(ERROR_CODES.INVALID_TYPE, "Invalid input type", "");
+    }
+    if (normalize(value) === "") {
+      return failure(ERROR_CODES.EMPTY, `${label} is empty`, "");
+    }
+    return null;
+  }
+
+  /**
+   * Validation policies: how much the input may be cleaned up before the
+   * rules run, and how strict some of the rules are.
+   *
+   *   caseFolding          lowercase letters are uppercased
+   *   trimWhitespace       surrounding whitespace is removed
+   *   stripInnerWhitespace whitespace inside the value is removed
+   *   stripHyphens         hyphens are removed ("037-833-100")
+   *   allowSpecialChars    * @ # (private placement numbers) are accepted
+   *   rejectNonDigitCheck  a non-digit check character fails early with
+   *                        NON_NUMERIC_CHECK instead of as a CHECK_DIGIT
+   *                        mismatch
+   *
+   * "standard" is the historical behaviour and the default.
+   */
+  const POLICIES = Object.freeze({
+    strict: Object.freeze({
+      name: "strict",
+      caseFolding: false,
+      trimWhitespace: false,
+      stripInnerWhitespace: false,
+      stripHyphens: false,
+      allowSpecialChars: true,
+      rejectNonDigitCheck: true
+    }),
+    standard: Object.freeze({
+      name: "standard",
+      caseFolding: true,
+      trimWhitespace: true,
+      stripInnerWhitespace: false,
+      stripHyphens: false,
+      allowSpecialChars: true,
+      rejectNonDigitCheck: true
+    }),
+    lenient: Object.freeze({
+      name: "lenient",
+      caseFolding: true,
+      trimWhitespace: true,
+      stripInnerWhitespace: true,
+      stripHyphens: true,
+      allowSpecialChars: true,
+      rejectNonDigitCheck: false
+    })
+  });
+
+  const DEFAULT_POLICY = POLICIES.standard;
+
+  const POLICY_RULES = Object.keys(DEFAULT_POLICY).filter(
+    (key) => key !== "name"
+  );
+
+  // Input-modifying rules, in the order applyPolicy() runs them
+  const NORMALIZATION_RULES = [
+    "trimWhitespace",
+    "stripInnerWhitespace",
+    "stripHyphens",
+    "caseFolding"
+  ];
+
+  /**
+   * Full policy from a preset name, a partial policy object (missing rules
+   * fall back to "standard") or nothing (the default). Objects are named
+   * after the preset they match rule for rule, otherwise "custom". Throws on
+   * an unknown preset name.
+   */
+  function resolvePolicy(policy) {
+    if (policy === undefined || policy === null) {
+      return DEFAULT_POLICY;
+    }
+
+    if (typeof policy === "string") {
+      if (!Object.prototype.hasOwnProperty.call(POLICIES, policy)) {
+        throw new Error(`Unknown validation policy "${policy}"`);
+      }
+      return POLICIES[policy];
+    }
+
+    const resolved = { ...DEFAULT_POLICY, ...policy };
+    const preset = Object.values(POLICIES).find((candidate) =>
+      POLICY_RULES.every((rule) => candidate[rule] === resolved[rule])
+    );
+
+    return { ...resolved, name: preset ? preset.name : "custom" };
+  }
+
+  /**
+   * Prepares raw input according to `policy`.
+   *
+   * Returns { value, normalizations, sourceIndex }: the prepared value, the
+   * rules that actually changed something, and for each character of
+   * `value` its index in the raw input (to point back at what was typed).
+   */
+  function applyPolicy(raw, policy) {
+    policy = resolvePolicy(policy);
+    if (typeof raw !== "string") {
+      return { value: "", normalizations: [], sourceIndex: [] };
+    }
+
+    const applied = new Set();
+    const chars = [];
+    const sourceIndex = [];
+    let start = 0;
+    let end = raw.length;
+
+    if (policy.trimWhitespace) {
+      while (start < end && /\s/.test(raw[start])) start++;
+      while (end > start && /\s/.test(raw[end - 1])) end--;
+      if (start > 0 || end < raw.length) applied.add("trimWhitespace");
+    }
+
+    for (let i = start; i < end; i++) {
+      let char = raw[i];
+
+      if (policy.stripInnerWhitespace && /\s/.test(char)) {
+        applied.add("stripInnerWhitespace");
+        continue;
+      }
+      if (policy.stripHyphens && char === "-") {
+        applied.add("stripHyphens");
+        continue;
+      }
+
+      const upper = char.toUpperCase();
+      if (policy.caseFolding && upper !== char && upper.length === 1) {
+        applied.add("caseFolding");
+        char = upper;
+      }
+
+      chars.push(char);
+      sourceIndex.push(i);
+    }
+
+    return {
+      value: chars.join(""),
+      normalizations: NORMALIZATION_RULES.filter((rule) => applied.has(rule)),
+      sourceIndex
+    };
+  }
+
+  /**
+   * Runs `check(value, policy)` on input prepared by the policy in
+   * `options.policy`, and records on the result what the policy did:
+   * { input, policy, inputModified, normalizations }.
+   */
+  function withPolicy(raw, label, options, check) {
+    const policy = resolvePolicy(options.policy);
+    const report = (result, prepared) => ({
+      ...result,
+      input: raw,
+      policy,
+      inputModified: prepared.normalizations.length > 0,
+      normalizations: prepared.normalizations
+    });
+
+    const rejected = rejectBlank(raw, label);
+    if (rejected) {
+      return report(rejected, { normalizations: [] });
+    }
+
+    const prepared = applyPolicy(raw, policy);
+    return report(check(prepared.value, policy), prepared);
+  }
+
+  /**
+   * Index of the first character rejected by `allowed(char, index)`, or -1.
+   */
+  function firstInvalidIndex(value, allowed) {
+    for (let i = 0; i < value.length; i++) {
+      if (!allowed(value[i], i)) return i;
+    }
+    return -1;
+  }
+
+  function isDigit(char) {
+    return char >= "0" && char <= "9";
+  }
+
+  function isCUSIPChar(char) {
+    return charValue(char) !== null;
+  }
+
+  function invalidCharMessage(value, index) {
+    const char = value[index];
+    if (char !== char.toUpperCase()) {
+      return `Lowercase character "${char}" at position ${
+        index + 1
+      } (case folding is off)`;
+    }
+    return `Invalid character "${char}" at position ${index + 1}`;
+  }
+
+  /**
+   * CHARSET failure for a CUSIP or CUSIP base, or null when every character
+   * is allowed. Special characters are valid CUSIP characters, so when the
+   * policy denies them the message says so.
+   */
+  function cusipCharsetFailure(value, policy, extra) {
+    const invalid = firstInvalidIndex(
+      value,
+      (char) =>
+        isCUSIPChar(char) &&
+        (policy.allowSpecialChars || charClass(char) !== "special")
+    );
+    if (invalid === -1) return null;
+
+    return failure(
+      ERROR_CODES.CHARSET,
+      isCUSIPChar(value[invalid])
+        ? `Special character "${value[invalid]}" at position ${
+            invalid + 1
+          } is not allowed by the validation policy`
+        : invalidCharMessage(value, invalid),
+      value,
+      invalid,
+      extra
+    );
+  }
+
+  /**
+   * First character of a (possibly partial) CUSIP that can never be valid,
+   * as { index, char }, or null. Lets UIs flag bad input while typing.
+   * `index` refers to the input as prepared by `options.policy`.
+   */
+  function findInvalidChar(cusip, options = {}) {
+    const policy = resolvePolicy(options.policy);
+    const { value } = applyPolicy(cusip, policy);
+    const index = firstInvalidIndex(
+      value,
+      (char) =>
+        isCUSIPChar(char) &&
+        (policy.allowSpecialChars || charClass(char) !== "special")
+    );
+    return index === -1 ? null : { index, char: value[index] };
+  }
+
+  /**
+   * Modulus 10 "double-add-double" sum over the first 8 characters.
+   * Values at even positions (2nd, 4th, 6th, 8th) are doubled and the
+   * digits of every value are added together.
+   *
+   * Callers screen the charset first. Returns { sum, checkDigit, trace },
+   * where `trace` has one step per position:
+   * { position, char, value, doubled, weighted, contribution, runningSum }.
+   */
+  function checksum(base) {
+    let sum = 0;
+    const trace = [];
+
+    for (let i = 0; i < BASE_LENGTH; i++) {
+      const value = charValue(base[i]);
+      const doubled = (i + 1) % 2 === 0;
+      const weighted = doubled ? value * 2 : value;
+      const contribution = Math.floor(weighted / 10) + (weighted % 10);
+      sum += contribution;
+
+      trace.push({
+        position: i + 1,
+        char: base[i],
+        value,
+        doubled,
+        weighted,
+        contribution,
+        runningSum: sum
+      });
+    }
+
+    return { sum, checkDigit: (10 - (sum % 10)) % 10, trace };
+  }
+
+  /**
+   * Check digit for an 8-character base (issuer + issue number).
+   * Returns null when the base cannot produce one.
+   */
+  function computeCheckDigit(base) {
+    base = normalize(base).slice(0, BASE_LENGTH);
+    if (base.length !== BASE_LENGTH) return null;
+
+    if (firstInvalidIndex(base, isCUSIPChar) !== -1) return null;
+
+    return checksum(base).checkDigit;
+  }
+
+  /**
+   * CINS (CUSIP International Numbering System) country/region letters.
+   * `countryCode` is the ISO 3166 code where the letter names one country.
+   */
+  const CINS_REGIONS = {
+    A: { region: "Austria", countryCode: "AT" },
+    B: { region: "Belgium", countryCode: "BE" },
+    C: { region: "Canada", countryCode: "CA" },
+    D: { region: "Germany", countryCode: "DE" },
+    E: { region: "Spain", countryCode: "ES" },
+    F: { region: "France", countryCode: "FR" },
+    G: { region: "United Kingdom", countryCode: "GB" },
+    H: { region: "Switzerland", countryCode: "CH" },
+    J: { region: "Japan", countryCode: "JP" },
+    K: { region: "Denmark", countryCode: "DK" },
+    L: { region: "Luxembourg", countryCode: "LU" },
+    M: { region: "Middle East", countryCode: null },
+    N: { region: "Netherlands", countryCode: "NL" },
+    P: { region: "South America", countryCode: null },
+    Q: { region: "Australia", countryCode: "AU" },
+    R: { region: "Norway", countryCode: "NO" },
+    S: { region: "South Africa", countryCode: "ZA" },
+    T: { region: "Italy", countryCode: "IT" },
+    U: { region: "United States", countryCode: "US" },
+    V: { region: "Africa - Other", countryCode: null },
+    W: { region: "Sweden", countryCode: "SE" },
+    X: { region: "Europe - Other", countryCode: null },
+    Y: { region: "Asia", countryCode: null }
+  };
+
+  /**
+   * Issue number classes: 10-88 are equity, anything with a letter is fixed
+   * income, the remaining numeric ranges (00-09, 89-99) are reserved.
+   */
+  function classifyIssue(issue) {
+    if (/^[0-9]{2}$/.test(issue)) {
+      const number = Number(issue);
+      return number >= 10 && number <= 88 ? "equity" : "reserved";
+    }
+    return "fixed-income";
+  }
+
+  /**
+   * Structural breakdown of a 9-character CUSIP: 6-character issuer number,
+   * 2-character issue number, check digit, plus classification.
+   *
+   * Returns { issuer, issue, checkDigit, issueClass, cins, privatePlacement,
+   * specialCharPositions }, where `cins` is { letter, region, countryCode }
+   * or null and private placements (PPN) are CUSIPs using *, @ or #.
+   * Returns null when the input is not 9 CUSIP characters.
+   */
+  function describeCUSIP(cusip) {
+    cusip = normalize(cusip);
+    if (cusip.length !== CUSIP_LENGTH || !VALID_CHARS.test(cusip)) {
+      return null;
+    }
+
+    const letter = cusip[0];
+    const cins = CINS_REGIONS[letter]
+      ? { letter, ...CINS_REGIONS[letter] }
+      : null;
+
+    const specialCharPositions = [];
+    for (let i = 0; i < BASE_LENGTH; i++) {
+      if (cusip[i] in SPECIAL_CHAR_VALUES) specialCharPositions.push(i + 1);
+    }
+
+    return {
+      issuer: cusip.slice(0, 6),
+      issue: cusip.slice(6, 8),
+      checkDigit: cusip[8],
+      issueClass: classifyIssue(cusip.slice(6, 8)),
+      cins,
+      privatePlacement: specialCharPositions.length > 0,
+      specialCharPositions
+    };
+  }
+
+  function checkBase(base, policy) {
+    if (base.length !== BASE_LENGTH) {
+      return failure(
+        ERROR_CODES.LENGTH,
+        "CUSIP base must be exactly 8 characters",
+        base,
+        base.length > BASE_LENGTH ? BASE_LENGTH : null,
+        { base }
+      );
+    }
+
+    const charsetFailure = cusipCharsetFailure(base, policy, { base });
+    if (charsetFailure) return charsetFailure;
+
+    const { checkDigit } = checksum(base);
+
+    return {
+      valid: true,
+      base,
+      checkDigit,
+      cusip: `${base}${checkDigit}`,
+      errorCode: null,
+      error: null
+    };
+  }
+
+  /**
+   * Check digit calculator: builds the full CUSIP from an 8-character base.
+   *
+   * Returns { valid, base, checkDigit, cusip, errorCode, error } plus the
+   * policy report from withPolicy().
+   */
+  function completeCUSIP(base, options = {}) {
+    return withPolicy(base, "CUSIP base", options, checkBase);
+  }
+
+  function checkCUSIP(cusip, policy) {
+    if (cusip.length !== CUSIP_LENGTH) {
+      return failure(
+        ERROR_CODES.LENGTH,
+        `CUSIP must be exactly 9 characters (got ${cusip.length})`,
+        cusip,
+        cusip.length > CUSIP_LENGTH ? CUSIP_LENGTH : null
+      );
+    }
+
+    const charsetFailure = cusipCharsetFailure(cusip, policy);
+    if (charsetFailure) return charsetFailure;
+
+    const { sum, checkDigit, trace } = checksum(cusip);
+    const details = {
+      calculatedCheckDigit: checkDigit,
+      correctedCUSIP: `${cusip.slice(0, BASE_LENGTH)}${checkDigit}`,
+      sum,
+      trace,
+      breakdown: describeCUSIP(cusip)
+    };
+
+    if (!isDigit(cusip[8]) && policy.rejectNonDigitCheck) {
+      return failure(
+        ERROR_CODES.NON_NUMERIC_CHECK,
+        `Check character "${cusip[8]}" at position 9 must be a digit`,
+        cusip,
+        8,
+        { providedCheckDigit: null, ...details }
+      );
+    }
+
+    const providedCheckDigit = isDigit(cusip[8]) ? Number(cusip[8]) : null;
+
+    if (providedCheckDigit !== checkDigit) {
+      return failure(
+        ERROR_CODES.CHECK_DIGIT,
+        "Check digit validation failed",
+        cusip,
+        8,
+        { providedCheckDigit, ...details }
+      );
+    }
+
+    return {
+      valid: true,
+      normalized: cusip,
+      providedCheckDigit,
+      ...details,
+      correctedCUSIP: null,
+      errorCode: null,
+      error: null,
+      errorIndex: null,
+      errorChar: null
+    };
+  }
+
+  /**
+   * Full CUSIP validation.
+   *
+   * Returns { valid, normalized, providedCheckDigit, calculatedCheckDigit,
+   * correctedCUSIP, sum, trace, breakdown, errorCode, error, errorIndex,
+   * errorChar }, where `normalized` is the form of the input that was
+   * checked, `correctedCUSIP` is the base with the right check digit when
+   * only the check digit is wrong, `trace` is the per-position walkthrough
+   * from checksum() and `breakdown` is describeCUSIP(normalized).
+   *
+   * Error codes: EMPTY, INVALID_TYPE, LENGTH, CHARSET, NON_NUMERIC_CHECK,
+   * CHECK_DIGIT. `errorIndex` is 0-based and refers to `normalized`.
+   *
+   * `options.policy` (a preset name or policy object, see POLICIES) decides
+   * how the input is prepared; the result also carries { input, policy,
+   * inputModified, normalizations } so callers can tell whether what was
+   * validated differs from what was given.
+   */
+  function validateCUSIP(cusip, options = {}) {
+    return withPolicy(cusip, "CUSIP", options, checkCUSIP);
+  }
+
+  /**
+   * Boolean shorthand for validateCUSIP(cusip, options).valid
+   */
+  function isValid(cusip, options = {}) {
+    return validateCUSIP(cusip, options).valid;
+  }
+
+  /**
+   * Characters commonly mistaken for one another when CUSIPs are read off
+   * scans (OCR) or retyped by hand.
+   */
+  const CONFUSABLE_PAIRS = [
+    ["0", "O"],
+    ["0", "Q"],
+    ["0", "D"],
+    ["1", "I"],
+    ["1", "L"],
+    ["2", "Z"],
+    ["5", "S"],
+    ["6", "G"],
+    ["8", "B"]
+  ];
+
+  const ALPHABET = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ*@#";
+
+  // Base score per kind of edit; higher = more likely to be the intended
+  // CUSIP. A confusion that does not fit in with its neighbours (1 -> I
+  // between digits) loses OUT_OF_CONTEXT_PENALTY, which puts it below a
+  // wrong check digit and a swap.
+  const SUGGESTION_SCORES = {
+    confusion: 40,
+    "check-digit": 30,
+    transposition: 20,
+    substitution: 0
+  };
+  const OUT_OF_CONTEXT_PENALTY = 25;
+
+  function charClass(char) {
+    if (char >= "0" && char <= "9") return "digit";
+    if (char >= "A" && char <= "Z") return "letter";
+    return "special";
+  }
+
+  /**
+   * How well a confusion fits: +1 per neighbour of the same class as the
+   * replacement, +2 for letter -> digit (most CUSIP characters are
+   * digits), and the out-of-context penalty when no neighbour matches.
+   */
+  function confusionAdjustment(cusip, i, char) {
+    const neighbours = [cusip[i - 1], cusip[i + 1]].filter(Boolean);
+    const matches = neighbours.filter(
+      (neighbour) => charClass(neighbour) === charClass(char)
+    ).length;
+    const toDigit =
+      charClass(cusip[i]) === "letter" && charClass(char) === "digit";
+
+    return (
+      matches + (toDigit ? 2 : 0) - (matches === 0 ? OUT_OF_CONTEXT_PENALTY : 0)
+    );
+  }
+
+  function confusablesOf(char) {
+    return CONFUSABLE_PAIRS.filter((pair) => pair.includes(char)).map((pair) =>
+      pair[0] === char ? pair[1] : pair[0]
+    );
+  }
+
+  /**
+   * Candidate corrections for a mistyped 9-character CUSIP: every single
+   * character substitution and adjacent transposition that passes the
+   * checksum, most likely first.
+   *
+   * Each suggestion is { cusip, type, positions, description, score } where
+   * type is "confusion" (O/0, I/1, S/5, B/8, ...), "transposition",
+   * "check-digit" or "substitution", positions are 1-based and score orders
+   * the list: confusions that fit their neighbours (O -> 0 between digits)
+   * first, then the check digit fix, swaps, confusions that do not fit, and
+   * other substitutions (those keeping a digit a digit first).
+   */
+  function suggestCorrections(cusip, { limit = 10 } = {}) {
+    cusip = normalize(cusip);
+    if (cusip.length !== CUSIP_LENGTH || isValid(cusip)) return [];
+
+    const candidates = new Map();
+
+    const consider = (candidate, type, positions, description, adjustment) => {
+      if (!isValid(candidate)) return;
+
+      const score = SUGGESTION_SCORES[type] + adjustment;
+      const existing = candidates.get(candidate);
+      if (existing && existing.score >= score) return;
+
+      candidates.set(candidate, {
+        cusip: candidate,
+        type,
+        positions,
+        description,
+        score
+      });
+    };
+
+    const replaceAt = (i, char) =>
+      `${cusip.slice(0, i)}${char}${cusip.slice(i + 1)}`;
+
+    for (let i = 0; i < CUSIP_LENGTH; i++) {
+      const original = cusip[i];
+      const confusables = confusablesOf(original);
+
+      for (const char of ALPHABET) {
+        if (char === original) continue;
+
+        let type = "substitution";
+        if (confusables.includes(char)) {
+          type = "confusion";
+        } else if (i === CUSIP_LENGTH - 1) {
+          type = "check-digit";
+        }
+
+        consider(
+          replaceAt(i, char),
+          type,
+          [i + 1],
+          `${original} → ${char} at position ${i + 1}`,
+          type === "confusion"
+            ? confusionAdjustment(cusip, i, char)
+            : charClass(original) === charClass(char)
+            ? 1
+            : 0
+        );
+      }
+    }
+
+    for (let i = 0; i < CUSIP_LENGTH - 1; i++) {
+      if (cusip[i] === cusip[i + 1]) continue;
+
+      const swapped = `${cusip.slice(0, i)}${cusip[i + 1]}${
+        cusip[i]
+      }${cusip.slice(i + 2)}`;
+
+      consider(
+        swapped,
+        "transposition",
+        [i + 1, i + 2],
+        `Swap positions ${i + 1} and ${i + 2}`,
+        1
+      );
+    }
+
+    return Array.from(candidates.values())
+      .sort((a, b) => b.score - a.score || a.positions[0] - b.positions[0])
+      .slice(0, limit);
+  }
+
+  /**
+   * ISIN (ISO 6166): 2-letter country code + 9-character national number
+   * (the CUSIP for US/CA and CINS issues) + 1 check digit.
+   */
+  const ISIN_LENGTH = 12;
+  const COUNTRY_CODE_FORMAT = /^[A-Z]{2}$/;
+
+  /**
+   * ISIN check digit for the first 11 characters: letters expand to two
+   * digits (A = 10 ... Z = 35), then Luhn over the resulting digit string,
+   * doubling every second digit starting from the rightmost.
+   */
+  function computeISINCheckDigit(body) {
+    const digits = body
+      .split("")
+      .map((char) => charValue(char))
+      .join("");
+
+    let sum = 0;
+    for (let i = digits.length - 1, double = true; i >= 0; i--) {
+      let value = Number(digits[i]);
+      if (double) value *= 2;
+      sum += Math.floor(value / 10) + (value % 10);
+      double = !double;
+    }
+
+    return (10 - (sum % 10)) % 10;
+  }
+
+  function checkISIN(isin, policy) {
+    if (isin.length !== ISIN_LENGTH) {
+      return failure(
+        ERROR_CODES.LENGTH,
+        `ISIN must be exactly 12 characters (got ${isin.length})`,
+        isin,
+        isin.length > ISIN_LENGTH ? ISIN_LENGTH : null
+      );
+    }
+
+    // 2-letter country code, then 9 alphanumerics
+    const invalid = firstInvalidIndex(isin, (char, i) =>
+      i < 2 ? charClass(char) === "letter" : charClass(char) !== "special"
+    );
+    if (invalid !== -1) {
+      return failure(
+        ERROR_CODES.CHARSET,
+        invalidCharMessage(isin, invalid),
+        isin,
+        invalid
+      );
+    }
+
+    const details = {
+      countryCode: isin.slice(0, 2),
+      nsin: isin.slice(2, 11),
+      calculatedCheckDigit: computeISINCheckDigit(isin.slice(0, 11))
+    };
+
+    if (!isDigit(isin[11]) && policy.rejectNonDigitCheck) {
+      return failure(
+        ERROR_CODES.NON_NUMERIC_CHECK,
+        `Check character "${isin[11]}" at position 12 must be a digit`,
+        isin,
+        11,
+        { providedCheckDigit: null, ...details }
+      );
+    }
+
+    const providedCheckDigit = isDigit(isin[11]) ? Number(isin[11]) : null;
+
+    if (providedCheckDigit !== details.calculatedCheckDigit) {
+      return failure(
+        ERROR_CODES.CHECK_DIGIT,
+        "ISIN check digit validation failed",
+        isin,
+        11,
+        { providedCheckDigit, ...details }
+      );
+    }
+
+    return {
+      valid: true,
+      normalized: isin,
+      providedCheckDigit,
+      ...details,
+      errorCode: null,
+      error: null,
+      errorIndex: null,
+      errorChar: null
+    };
+  }
+
+  /**
+   * Full ISIN validation.
+   *
+   * Returns { valid, normalized, countryCode, nsin, providedCheckDigit,
+   * calculatedCheckDigit, errorCode, error, errorIndex, errorChar } plus
+   * the policy report described on validateCUSIP().
+   */
+  function validateISIN(isin, options = {}) {
+    return withPolicy(isin, "ISIN", options, checkISIN);
+  }
+
+  /**
+   * Converts a valid CUSIP to its ISIN.
+   *
+   * CUSIPs take `countryCode` (US by default, CA for Canadian issues).
+   * CINS numbers (leading letter) use `cinsCountryCode` when given, otherwise
+   * the country of their CINS letter; regional letters (M, P, V, X, Y) have
+   * no single country and need `cinsCountryCode`.
+   *
+   * `policy` is passed on to validateCUSIP().
+   *
+   * Returns { valid, isin, countryCode, cusip, errorCode, error }.
+   */
+  function cusipToISIN(
+    cusip,
+    { countryCode = "US", cinsCountryCode, policy } = {}
+  ) {
+    const result = validateCUSIP(cusip, { policy });
+    if (!result.valid) {
+      return { valid: false, errorCode: result.errorCode, error: result.error };
+    }
+
+    cusip = result.normalized;
+    const isCINS = charClass(cusip[0]) === "letter";
+    const cinsRegion = CINS_REGIONS[cusip[0]];
+    const country = isCINS
+      ? normalize(cinsCountryCode) || (cinsRegion && cinsRegion.countryCode)
+      : normalize(countryCode);
+
+    if (!country) {
+      return {
+        valid: false,
+        cusip,
+        errorCode: ERROR_CODES.COUNTRY_CODE,
+        error: "CINS numbers need an ISIN country code"
+      };
+    }
+
+    if (!COUNTRY_CODE_FORMAT.test(country)) {
+      return {
+        valid: false,
+        cusip,
+        errorCode: ERROR_CODES.COUNTRY_CODE,
+        error: "ISIN country code must be two letters"
+      };
+    }
+
+    const body = `${country}${cusip}`;
+
+    return {
+      valid: true,
+      isin: `${body}${computeISINCheckDigit(body)}`,
+      countryCode: country,
+      cusip,
+      errorCode: null,
+      error: null
+    };
+  }
+
+  /**
+   * Extracts the CUSIP embedded in a valid ISIN.
+   *
+   * Returns { valid, cusip, countryCode, errorCode, error }. ISINs whose national
+   * number is not a checksum-valid CUSIP (e.g. SEDOL-based GB ISINs) are
+   * reported as not containing one.
+   */
+  function isinToCUSIP(isin, options = {}) {
+    const result = validateISIN(isin, options);
+    if (!result.valid) {
+      return { valid: false, errorCode: result.errorCode, error: result.error };
+    }
+
+    if (!isValid(result.nsin)) {
+      return {
+        valid: false,
+        countryCode: result.countryCode,
+        errorCode: ERROR_CODES.FORMAT,
+        error: "ISIN does not embed a valid CUSIP"
+      };
+    }
+
+    return {
+      valid: true,
+      cusip: result.nsin,
+      countryCode: result.countryCode,
+      errorCode: null,
+      error: null
+    };
+  }
+
+  /**
+   * SEDOL (London Stock Exchange): 6 characters without vowels + 1 check
+   * digit, weighted 1, 3, 1, 7, 3, 9.
+   */
+  const SEDOL_LENGTH = 7;
+  const CONSONANTS_AND_DIGITS = "0123456789BCDFGHJKLMNPQRSTVWXYZ";
+  const SEDOL_WEIGHTS = [1, 3, 1, 7, 3, 9];
+
+  function checkSEDOL(sedol, policy) {
+    if (sedol.length !== SEDOL_LENGTH) {
+      return failure(
+        ERROR_CODES.LENGTH,
+        `SEDOL must be exactly 7 characters (got ${sedol.length})`,
+        sedol,
+        sedol.length > SEDOL_LENGTH ? SEDOL_LENGTH : null
+      );
+    }
+
+    const invalid = firstInvalidIndex(sedol, (char, i) =>
+      i < 6 ? CONSONANTS_AND_DIGITS.includes(char) : charValue(char) !== null
+    );
+    if (invalid !== -1) {
+      return failure(
+        ERROR_CODES.CHARSET,
+        invalidCharMessage(sedol, invalid),
+        sedol,
+        invalid
+      );
+    }
+
+    const sum = SEDOL_WEIGHTS.reduce(
+      (total, weight, i) => total + charValue(sedol[i]) * weight,
+      0
+    );
+    const calculatedCheckDigit = (10 - (sum % 10)) % 10;
+
+    if (!isDigit(sedol[6]) && policy.rejectNonDigitCheck) {
+      return failure(
+        ERROR_CODES.NON_NUMERIC_CHECK,
+        `Check character "${sedol[6]}" at position 7 must be a digit`,
+        sedol,
+        6,
+        { providedCheckDigit: null, calculatedCheckDigit }
+      );
+    }
+
+    const providedCheckDigit = isDigit(sedol[6]) ? Number(sedol[6]) : null;
+
+    if (providedCheckDigit !== calculatedCheckDigit) {
+      return failure(
+        ERROR_CODES.CHECK_DIGIT,
+        "SEDOL check digit validation failed",
+        sedol,
+        6,
+        { providedCheckDigit, calculatedCheckDigit }
+      );
+    }
+
+    return {
+      valid: true,
+      normalized: sedol,
+      providedCheckDigit,
+      calculatedCheckDigit,
+      errorCode: null,
+      error: null,
+      errorIndex: null,
+      errorChar: null
+    };
+  }
+
+  function validateSEDOL(sedol, options = {}) {
+    return withPolicy(sedol, "SEDOL", options, checkSEDOL);
+  }
+
+  /**
+   * FIGI (OpenFIGI): 2 consonants + "G" + 8 consonants/digits + 1 check
+   * digit. The check digit uses the CUSIP double-add-double rule over all
+   * 11 leading characters.
+   */
+  const FIGI_LENGTH = 12;
+  const FIGI_RESERVED_PREFIXES = ["BS", "BM", "GG", "GB", "GH", "KY", "VG"];
+
+  function checkFIGI(figi, policy) {
+    if (figi.length !== FIGI_LENGTH) {
+      return failure(
+        ERROR_CODES.LENGTH,
+        `FIGI must be exactly 12 characters (got ${figi.length})`,
+        figi,
+        figi.length > FIGI_LENGTH ? FIGI_LENGTH : null
+      );
+    }
+
+    const invalid = firstInvalidIndex(figi, (char, i) => {
+      if (i < 2)
+        return (
+          charClass(char) === "letter" && CONSONANTS_AND_DIGITS.includes(char)
+        );
+      if (i === 2) return char === "G";
+      if (i < 11) return CONSONANTS_AND_DIGITS.includes(char);
+      return charValue(char) !== null;
+    });
+    if (invalid !== -1) {
+      return failure(
+        ERROR_CODES.CHARSET,
+        invalid === 2
+          ? `Position 3 of a FIGI must be "G" (found "${figi[2]}")`
+          : invalidCharMessage(figi, invalid),
+        figi,
+        invalid
+      );
+    }
+
+    if (FIGI_RESERVED_PREFIXES.includes(figi.slice(0, 2))) {
+      return failure(
+        ERROR_CODES.FORMAT,
+        `FIGI prefix "${figi.slice(0, 2)}" is reserved`,
+        figi,
+        0
+      );
+    }
+
+    let sum = 0;
+    for (let i = 0; i < FIGI_LENGTH - 1; i++) {
+      let value = charValue(figi[i]);
+      if (i % 2 === 1) value *= 2;
+      sum += Math.floor(value / 10) + (value % 10);
+    }
+    const calculatedCheckDigit = (10 - (sum % 10)) % 10;
+
+    if (!isDigit(figi[11]) && policy.rejectNonDigitCheck) {
+      return failure(
+        ERROR_CODES.NON_NUMERIC_CHECK,
+        `Check character "${figi[11]}" at position 12 must be a digit`,
+        figi,
+        11,
+        { providedCheckDigit: null, calculatedCheckDigit }
+      );
+    }
+
+    const providedCheckDigit = isDigit(figi[11]) ? Number(figi[11]) : null;
+
+    if (providedCheckDigit !== calculatedCheckDigit) {
+      return failure(
+        ERROR_CODES.CHECK_DIGIT,
+        "FIGI check digit validation failed",
+        figi,
+        11,
+        { providedCheckDigit, calculatedCheckDigit }
+      );
+    }
+
+    return {
+      valid: true,
+      normalized: figi,
+      providedCheckDigit,
+      calculatedCheckDigit,
+      errorCode: null,
+      error: null,
+      errorIndex: null,
+      errorChar: null
+    };
+  }
+
+  function validateFIGI(figi, options = {}) {
+    return withPolicy(figi, "FIGI", options, checkFIGI);
+  }
+
+  /**
+   * Identifier types recognised by detectIdentifier / validateIdentifier.
+   * A CINS is a CUSIP whose first character is a letter.
+   */
+  const IDENTIFIER_TYPES = ["CUSIP", "CINS", "ISIN", "SEDOL", "FIGI"];
+
+  /**
+   * Guesses the identifier type from length and structure.
+   *
+   * 12-character values can be either an ISIN or a FIGI; the one whose
+   * checksum passes wins, otherwise the Bloomberg "BBG" prefix means FIGI.
+   * Returns "UNKNOWN" when nothing fits. The value is first prepared by
+   * `options.policy`.
+   */
+  function detectIdentifier(value, options = {}) {
+    const policy = resolvePolicy(options.policy);
+    return detectType(applyPolicy(value, policy).value, policy);
+  }
+
+  function detectType(value, policy) {
+    switch (value.length) {
+      case CUSIP_LENGTH:
+        return charClass(value[0]) === "letter" ? "CINS" : "CUSIP";
+      case SEDOL_LENGTH:
+        return "SEDOL";
+      case ISIN_LENGTH:
+        if (checkISIN(value, policy).valid) return "ISIN";
+        if (checkFIGI(value, policy).valid) return "FIGI";
+        return value.startsWith("BBG") ? "FIGI" : "ISIN";
+      default:
+        return "UNKNOWN";
+    }
+  }
+
+  const CHECKS = {
+    CUSIP: checkCUSIP,
+    CINS: checkCUSIP,
+    ISIN: checkISIN,
+    SEDOL: checkSEDOL,
+    FIGI: checkFIGI
+  };
+
+  /**
+   * Spreadsheet damage: what Excel and CSV round trips do to identifiers.
+   * Excel writes numbers in this exact scientific format ("3.78E+08"),
+   * which no identifier can contain, so it never collides with a CUSIP
+   * like "12345E101".
+   */
+  const SCIENTIFIC_NOTATION = /^(\d)(?:\.(\d+))?E\+(\d+)$/i;
+
+  function plural(count, word) {
+    return `${count} ${word}${count === 1 ? "" : "s"}`;
+  }
+
+  /**
+   * Repairs the usual spreadsheet damage before validation:
+   *   - the Excel ="..." text wrapper, quotes and a leading apostrophe
+   *   - commas, semicolons and tabs (separators, thousands grouping)
+   *   - scientific notation, when every digit survived ("3.7833100E+07")
+   *   - leading zeros lost to number formatting ("37833100"), restored only
+   *     when the padded value is a valid CUSIP (or SEDOL)
+   *
+   * Returns { value, repairs, errorCode, error }, where `repairs` lists
+   * { type, description } for each change. Scientific notation that lost
+   * digits cannot be repaired and sets errorCode SCIENTIFIC_NOTATION.
+   * `options.policy` is used to judge the padded candidates.
+   */
+  function repairSpreadsheetValue(raw, options = {}) {
+    const repairs = [];
+    const repair = (type, description) => repairs.push({ type, description });
+    const result = (value, errorCode = null, error = null) => ({
+      value,
+      repairs,
+      errorCode,
+      error
+    });
+
+    if (typeof raw !== "string") return result(raw);
+
+    const policy = resolvePolicy(options.policy);
+    let value = raw;
+
+    const formula = value.match(/^\s*="(.*)"\s*$/);
+    if (formula) {
+      value = formula[1];
+      repair("textFormula", 'Removed Excel ="..." wrapper');
+    }
+
+    if (value.includes('"')) {
+      value = value.replace(/"/g, "");
+      repair("quotes", "Removed quotes");
+    }
+
+    if (/^\s*'/.test(value)) {
+      value = value.replace(/^(\s*)'/, "$1");
+      repair("textPrefix", "Removed leading apostrophe");
+    }
+
+    if (/[,;\t]/.test(value)) {
+      value = value.replace(/[,;\t]/g, "");
+      repair("separators", "Removed stray separators");
+    }
+
+    let prepared = applyPolicy(value, policy).value;
+
+    const scientific = prepared.match(SCIENTIFIC_NOTATION);
+    if (scientific) {
+      const digits = scientific[1] + (scientific[2] || "");
+      const integerLength = Number(scientific[3]) + 1;
+
+      // Excel keeps at most 15 significant digits and the display format
+      // usually far fewer; anything missing is gone for good
+      if (digits.length !== integerLength) {
+        return result(
+          prepared,
+          ERROR_CODES.SCIENTIFIC_NOTATION,
+          `"${prepared}" is in scientific notation; the original digits cannot be recovered`
+        );
+      }
+
+      prepared = digits;
+      value = digits;
+      repair("scientificNotation", "Expanded scientific notation");
+    }
+
+    if (/^\d+$/.test(prepared) && prepared.length < CUSIP_LENGTH) {
+      const validAsIs =
+        prepared.length === SEDOL_LENGTH && checkSEDOL(prepared, policy).valid;
+      const candidates = [
+        prepared.padStart(CUSIP_LENGTH, "0"),
+        prepared.padStart(SEDOL_LENGTH, "0")
+      ].filter(
+        (padded) =>
+          padded.length > prepared.length &&
+          (padded.length === CUSIP_LENGTH
+            ? checkCUSIP(padded, policy).valid
+            : checkSEDOL(padded, policy).valid)
+      );
+
+      if (!validAsIs && candidates.length > 0) {
+        const restored = candidates[0];
+        value = restored;
+        repair(
+          "leadingZeros",
+          `Restored ${plural(
+            restored.length - prepared.length,
+            "leading zero"
+          )}`
+        );
+      }
+    }
+
+    return result(value);
+  }
+
+  /**
+   * Detects the identifier type and validates it with that type's rules.
+   * The result is the type-specific result plus `type`; lengths that match
+   * no type fail with errorCode LENGTH. `options.policy` applies as in
+   * validateCUSIP().
+   *
+   * With `options.repairSpreadsheet`, the value first goes through
+   * repairSpreadsheetValue() and the result carries its `repairs`.
+   */
+  function validateIdentifier(value, options = {}) {
+    if (options.repairSpreadsheet) {
+      const { repairSpreadsheet, ...rest } = options;
+      const fixed = repairSpreadsheetValue(value, rest);
+
+      if (fixed.errorCode) {
+        return {
+          type: "UNKNOWN",
+          ...withPolicy(value, "Identifier", rest, (prepared) =>
+            failure(fixed.errorCode, fixed.error, prepared)
+          ),
+          repairs: fixed.repairs
+        };
+      }
+
+      return {
+        ...validateIdentifier(fixed.value, rest),
+        repairs: fixed.repairs
+      };
+    }
+
+    const result = withPolicy(
+      value,
+      "Identifier",
+      options,
+      (prepared, policy) => {
+        const type = detectType(prepared, policy);
+        if (type === "UNKNOWN") {
+          return {
+            type,
+            ...failure(
+              ERROR_CODES.LENGTH,
+              "Unrecognized identifier format",
+              prepared
+            )
+          };
+        }
+
+        return { type, ...CHECKS[type](prepared, policy) };
+      }
+    );
+
+    return { type: "UNKNOWN", ...result };
+  }
+
+  return {
+    CUSIP_LENGTH,
+    BASE_LENGTH,
+    ISIN_LENGTH,
+    SEDOL_LENGTH,
+    FIGI_LENGTH,
+    IDENTIFIER_TYPES,
+    CINS_REGIONS,
+    ERROR_CODES,
+    POLICIES,
+    DEFAULT_POLICY,
+    charValue,
+    normalize,
+    resolvePolicy,
+    applyPolicy,
+    findInvalidChar,
+    repairSpreadsheetValue,
+    computeCheckDigit,
+    completeCUSIP,
+    describeCUSIP,
+    validateCUSIP,
+    isValid,
+    suggestCorrections,
+    computeISINCheckDigit,
+    validateISIN,
+    cusipToISIN,
+    isinToCUSIP,
+    validateSEDOL,
+    validateFIGI,
+    detectIdentifier,
+    validateIdentifier
+  };
+});
@@ -0,0 +1,44 @@
+/**
+ * ES module entry for the CUSIP engine.
+ *
+ * cusip-core.js is a UMD file: under Node its CommonJS export arrives as the
+ * default import, in the browser it registers `self.CUSIPCore` when evaluated.
+ */
+import * as loaded from "./cusip-core.js";
+
+const CUSIPCore = (loaded && loaded.default) || globalThis.CUSIPCore;
+
+export const {
+  CUSIP_LENGTH,
+  BASE_LENGTH,
+  ISIN_LENGTH,
+  SEDOL_LENGTH,
+  FIGI_LENGTH,
+  IDENTIFIER_TYPES,
+  CINS_REGIONS,
+  ERROR_CODES,
+  POLICIES,
+  DEFAULT_POLICY,
+  charValue,
+  normalize,
+  resolvePolicy,
+  applyPolicy,
+  findInvalidChar,
+  repairSpreadsheetValue,
+  computeCheckDigit,
+  completeCUSIP,
+  describeCUSIP,
+  validateCUSIP,
+  isValid,
+  suggestCorrections,
+  computeISINCheckDigit,
+  validateISIN,
+  cusipToISIN,
+  isinToCUSIP,
+  validateSEDOL,
+  validateFIGI,
+  detectIdentifier,
+  validateIdentifier
+} = CUSIPCore;
+
+export default CUSIPCore;
@@ -0,0 +1,1427 @@
+/**
+ * CUSIP IO - import/export helpers
+ *
+ * DOM-free like cusip-core.js, so the web UI (advanced.js and its batch
+ * worker) and the command line tool (cli.js) read CSV, validate batch lines
+ * and write batch results the same way.
+ *
+ * Loading:
+ *   - Node / CommonJS:  const CUSIPIO = require("./cusip-io");
+ *   - Browser script:   load after cusip-core.js -> window.CUSIPIO
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./cusip-core"));
+  } else {
+    root.CUSIPIO = factory(root.CUSIPCore);
+  }
+})(typeof self !== "undefined" ? self : this, function (CUSIPCore) {
+  "use strict";
+
+  /**
+   * RFC 4180 parser: quoted fields may contain the delimiter, doubled
+   * quotes and line breaks. Accepts CRLF or LF and drops a leading BOM.
+   *
+   * Returns an array of rows, each an array of field strings.
+   */
+  function parseCSV(text, { delimiter = "," } = {}) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+    let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+    for (; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === "") {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[i + 1] === "\n") i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== "" || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Delimiter for delimited text: tab for .tsv files, otherwise whichever
+   * of comma, semicolon or tab is most common in the first line.
+   */
+  function detectDelimiter(text, extension = "") {
+    if (extension.toLowerCase() === "tsv") return "\t";
+
+    const firstLine = text.split(/\r?\n/, 1)[0] || "";
+    const counts = [",", ";", "\t"].map((delimiter) => ({
+      delimiter,
+      count: firstLine.split(delimiter).length - 1
+    }));
+    const best = counts.reduce((a, b) => (b.count > a.count ? b : a));
+
+    return best.count > 0 ? best.delimiter : ",";
+  }
+
+  /**
+   * Security master fields and the column names (compared lowercase,
+   * letters and digits only) they are read from.
+   */
+  const MASTER_FIELDS = {
+    cusip: ["cusip", "cins", "securityid", "identifier"],
+    issuer: ["issuer", "issuername", "name", "securityname", "description"],
+    ticker: ["ticker", "symbol"],
+    assetClass: ["assetclass", "class", "securitytype", "type"],
+    status: ["status", "securitystatus"]
+  };
+
+  const fieldName = (name) =>
+    String(name)
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, "");
+
+  /**
+   * Security master records from a reference file: "csv" (with a header
+   * row; `delimiter` as in parseCSV) or "json" (an array of objects, or an
+   * object with a `securities` array). Column names are matched through
+   * MASTER_FIELDS.
+   *
+   * Returns { securities, skipped }: one { cusip, issuer, ticker,
+   * assetClass, status } per row with a valid CUSIP (later rows win), and
+   * the number of rows without one. Throws when there is no CUSIP column.
+   */
+  function parseSecurityMaster(text, { format = "csv", delimiter } = {}) {
+    const { rows, value } = readReferenceRows(text, {
+      format,
+      delimiter,
+      key: "securities",
+      fields: MASTER_FIELDS,
+      required: { cusip: "CUSIP" }
+    });
+
+    const byCUSIP = new Map();
+    let skipped = 0;
+    rows.forEach((row) => {
+      const check = CUSIPCore.validateCUSIP(value(row, "cusip"), {
+        policy: "lenient"
+      });
+      if (!check.valid) {
+        skipped++;
+        return;
+      }
+
+      byCUSIP.set(check.normalized, {
+        cusip: check.normalized,
+        issuer: value(row, "issuer"),
+        ticker: value(row, "ticker"),
+        assetClass: value(row, "assetClass"),
+        status: value(row, "status")
+      });
+    });
+
+    return { securities: Array.from(byCUSIP.values()), skipped };
+  }
+
+  /**
+   * CUSIP that reference data is keyed by for a result: the normalized
+   * value of a valid CUSIP/CINS, the embedded CUSIP of a valid ISIN,
+   * otherwise null.
+   */
+  function referenceCUSIP(result) {
+    if (!result.valid) return null;
+
+    if (result.type === "CUSIP" || result.type === "CINS") {
+      return result.normalized;
+    }
+    if (result.type === "ISIN") {
+      const embedded = CUSIPCore.isinToCUSIP(result.normalized);
+      return embedded.valid ? embedded.cusip : null;
+    }
+    return null;
+  }
+
+  /**
+   * Security master entry for a result, looked up in `master` (a Map keyed
+   * by CUSIP) through referenceCUSIP(). Returns { security, unknown }, where
+   * `unknown` flags a checksum-valid identifier the master does not list.
+   * An empty master flags nothing.
+   */
+  function lookupSecurity(result, master) {
+    if (!master || master.size === 0) {
+      return { security: null, unknown: false };
+    }
+
+    const cusip = referenceCUSIP(result);
+    if (cusip === null) return { security: null, unknown: false };
+
+    const security = master.get(cusip) || null;
+    return { security, unknown: security === null };
+  }
+
+  /**
+   * CUSIP change file columns (matched like MASTER_FIELDS).
+   */
+  const CHANGE_FIELDS = {
+    oldCusip: [
+      "oldcusip",
+      "fromcusip",
+      "previouscusip",
+      "retiredcusip",
+      "old",
+      "from"
+    ],
+    newCusip: [
+      "newcusip",
+      "tocusip",
+      "replacementcusip",
+      "currentcusip",
+      "new",
+      "to"
+    ],
+    effectiveDate: ["effectivedate", "effective", "date", "changedate"],
+    reason: ["reason", "action", "event", "corporateaction", "description"]
+  };
+
+  /**
+   * Calendar date as YYYY-MM-DD; "" for none, null when unreadable.
+   */
+  function isoDate(value) {
+    const text = String(
+      value === undefined || value === null ? "" : value
+    ).trim();
+    if (text === "") return "";
+
+    // Taken as written, once it names a real day (not 2024-13-45)
+    const parts = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    if (parts) {
+      const [year, month, day] = parts.slice(1).map(Number);
+      const date = new Date(Date.UTC(year, month - 1, day));
+      return date.getUTCFullYear() === year &&
+        date.getUTCMonth() === month - 1 &&
+        date.getUTCDate() === day
+        ? text
+        : null;
+    }
+
+    const time = Date.parse(text);
+    if (Number.isNaN(time)) return null;
+
+    return localDate(new Date(time));
+  }
+
+  /**
+   * A Date's local calendar day as YYYY-MM-DD.
+   */
+  function localDate(date) {
+    return [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, "0"),
+      String(date.getDate()).padStart(2, "0")
+    ].join("-");
+  }
+
+  /**
+   * Rows of a CSV (header row) or JSON (array of objects, or an object
+   * holding one under `key`) reference file, and the column used for each
+   * of `fields` ({ field: [accepted names] }). Throws when a field of
+   * `required` ({ field: label for the error }) has no column.
+   */
+  function readReferenceRows(
+    text,
+    { format, delimiter, key, fields, required }
+  ) {
+    let rows;
+    if (format === "json") {
+      const data = JSON.parse(text);
+      rows = Array.isArray(data) ? data : data && data[key];
+      if (!Array.isArray(rows)) {
+        throw new Error(`Expected an array of ${key}`);
+      }
+    } else {
+      const [header = [], ...body] = parseCSV(text, {
+        delimiter: delimiter || detectDelimiter(text)
+      });
+      rows = body.map((cells) => {
+        const row = {};
+        header.forEach((name, i) => {
+          row[name] = cells[i];
+        });
+        return row;
+      });
+    }
+
+    const columns = {};
+    rows.slice(0, 1).forEach((row) =>
+      Object.keys(row).forEach((name) => {
+        const field = Object.keys(fields).find((f) =>
+          fields[f].includes(fieldName(name))
+        );
+        if (field && !(field in columns)) columns[field] = name;
+      })
+    );
+
+    const missing = Object.keys(required)
+      .filter((field) => !columns[field])
+      .map((field) => required[field]);
+    if (rows.length > 0 && missing.length > 0) {
+      throw new Error(
+        `No ${missing.join(" or ")} column found (columns: ${Object.keys(
+          rows[0]
+        ).join(", ")})`
+      );
+    }
+
+    const value = (row, field) =>
+      columns[field] &&
+      row[columns[field]] !== undefined &&
+      row[columns[field]] !== null
+        ? String(row[columns[field]]).trim()
+        : "";
+
+    return { rows, value };
+  }
+
+  /**
+   * Old -> new CUSIP mappings from corporate actions (mergers, splits, name
+   * changes), from a "csv" or "json" file (an array, or an object with a
+   * `changes` array) as for parseSecurityMaster(). Column names are matched
+   * through CHANGE_FIELDS; the effective date is optional.
+   *
+   * Returns { changes, skipped }: one { oldCusip, newCusip, effectiveDate
+   * (YYYY-MM-DD or ""), reason } per row where both CUSIPs are valid and
+   * differ and the date is readable (later rows win), and the number of
+   * other rows.
+   */
+  function parseCUSIPChanges(text, { format = "csv", delimiter } = {}) {
+    const { rows, value } = readReferenceRows(text, {
+      format,
+      delimiter,
+      key: "changes",
+      fields: CHANGE_FIELDS,
+      required: { oldCusip: "old CUSIP", newCusip: "new CUSIP" }
+    });
+
+    const byOld = new Map();
+    let skipped = 0;
+    rows.forEach((row) => {
+      const from = CUSIPCore.validateCUSIP(value(row, "oldCusip"), {
+        policy: "lenient"
+      });
+      const to = CUSIPCore.validateCUSIP(value(row, "newCusip"), {
+        policy: "lenient"
+      });
+      const effectiveDate = isoDate(value(row, "effectiveDate"));
+
+      if (
+        !from.valid ||
+        !to.valid ||
+        from.normalized === to.normalized ||
+        effectiveDate === null
+      ) {
+        skipped++;
+        return;
+      }
+
+      byOld.set(from.normalized, {
+        oldCusip: from.normalized,
+        newCusip: to.normalized,
+        effectiveDate,
+        reason: value(row, "reason")
+      });
+    });
+
+    return { changes: Array.from(byOld.values()), skipped };
+  }
+
+  /**
+   * Current replacement for a superseded identifier, from `changes` (a Map
+   * of parseCUSIPChanges() entries keyed by old CUSIP). Chains of changes
+   * are followed to the latest CUSIP in effect on `asOf` (YYYY-MM-DD,
+   * default today).
+   *
+   * Returns null when nothing applies, otherwise { pending, replacement,
+   * identifier, effectiveDate, reason, chain }: `replacement` is the
+   * current CUSIP and `identifier` the same in the result's own type (an
+   * ISIN keeps its country prefix); `chain` lists every CUSIP from the
+   * result's to the replacement. `pending` marks a change that takes effect
+   * after `asOf`, so the identifier is not superseded yet.
+   */
+  function findReplacement(result, changes, { asOf } = {}) {
+    if (!changes || changes.size === 0) return null;
+
+    const cusip = referenceCUSIP(result);
+    const first = cusip === null ? null : changes.get(cusip);
+    if (!first) return null;
+
+    const today = asOf || localDate(new Date());
+    const inEffect = (change) =>
+      !change.effectiveDate || change.effectiveDate <= today;
+
+    const chain = [cusip];
+    let change = first;
+    if (!inEffect(first)) {
+      chain.push(first.newCusip);
+    } else {
+      while (change && inEffect(change) && !chain.includes(change.newCusip)) {
+        chain.push(change.newCusip);
+        change = changes.get(change.newCusip);
+      }
+    }
+
+    const replacement = chain[chain.length - 1];
+    let identifier = replacement;
+    if (result.type === "ISIN") {
+      const isin = CUSIPCore.cusipToISIN(replacement, {
+        countryCode: result.countryCode
+      });
+      identifier = isin.valid ? isin.isin : replacement;
+    }
+
+    return {
+      pending: !inEffect(first),
+      replacement,
+      identifier,
+      effectiveDate: first.effectiveDate,
+      reason: first.reason,
+      chain
+    };
+  }
+
+  /**
+   * Batch results with every superseded identifier (a result whose
+   * `change` is in effect) swapped for a validation of its current
+   * replacement, keeping the line's imported columns and recording
+   * `originalIdentifier`. The replacement is looked up in `master` (as
+   * for lookupSecurity()). For exports that substitute replacements.
+   */
+  function substituteReplacements(results, { master } = {}) {
+    return results.map((result) => {
+      if (!result.change || result.change.pending) return result;
+
+      const replacement = validateLine(result.change.identifier, {
+        policy: result.policy,
+        repairSpreadsheet: false
+      });
+      const { security, unknown } = lookupSecurity(replacement, master);
+      return {
+        ...replacement,
+        line: result.line,
+        extra: result.extra,
+        security,
+        unknownToMaster: unknown,
+        originalIdentifier: result.cusip,
+        change: result.change
+      };
+    });
+  }
+
+  /**
+   * ISIN for a batch result: the identifier itself for ISINs, the converted
+   * CUSIP for valid CUSIP/CINS (using `countryCode` / `cinsCountryCode` as
+   * in cusipToISIN), otherwise null.
+   */
+  function isinFor(result, { countryCode, cinsCountryCode } = {}) {
+    if (!result.valid) return null;
+
+    if (result.type === "ISIN") {
+      return { isin: result.normalized, countryCode: result.countryCode };
+    }
+
+    if (result.type === "CUSIP" || result.type === "CINS") {
+      const isin = CUSIPCore.cusipToISIN(result.normalized, {
+        countryCode,
+        cinsCountryCode
+      });
+      return isin.valid ? isin : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Batch work for one line: validateIdentifier() plus correction
+   * suggestions for invalid CUSIP/CINS and the time taken. Shared by the
+   * web UI's batch worker and the command line tool so both produce the
+   * same results.
+   *
+   * Options: `policy`, `repairSpreadsheet` (default true) and
+   * `suggestionLimit` (default 3). The per-position `trace` is dropped to
+   * keep large runs small.
+   */
+  function validateLine(
+    line,
+    { policy, repairSpreadsheet = true, suggestionLimit = 3 } = {}
+  ) {
+    const startTime = performance.now();
+    const { trace, ...result } = CUSIPCore.validateIdentifier(line, {
+      policy,
+      repairSpreadsheet
+    });
+    const validationTime = performance.now() - startTime;
+    const suggestions =
+      result.valid || (result.type !== "CUSIP" && result.type !== "CINS")
+        ? []
+        : CUSIPCore.suggestCorrections(result.normalized, {
+            limit: suggestionLimit
+          });
+
+    return {
+      cusip: line,
+      repairs: [],
+      ...result,
+      suggestions,
+      validationTime
+    };
+  }
+
+  /**
+   * What two batch results share when they name the same identifier: the
+   * normalized value (after any repairs) without whitespace and uppercased,
+   * whatever the policy. Null for a result with nothing to compare.
+   */
+  function duplicateKey(result) {
+    const value =
+      typeof result.normalized === "string" ? result.normalized : result.cusip;
+    const key = String(value || "")
+      .replace(/\s+/g, "")
+      .toUpperCase();
+    return key || null;
+  }
+
+  /**
+   * Identifiers that occur more than once in a batch, in order of first
+   * occurrence: { key, count, indexes, lines, kind }. `lines` are the
+   * results' `line` numbers (falling back to position + 1); `kind` is
+   * "exact" when every occurrence was typed the same, "normalized" when
+   * they only match after normalization (case, whitespace, repairs).
+   */
+  function findDuplicates(results) {
+    const groups = new Map();
+    results.forEach((result, index) => {
+      const key = duplicateKey(result);
+      if (key === null) return;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(index);
+    });
+
+    const duplicates = [];
+    groups.forEach((indexes, key) => {
+      if (indexes.length < 2) return;
+
+      const first = results[indexes[0]].cusip;
+      duplicates.push({
+        key,
+        count: indexes.length,
+        indexes,
+        lines: indexes.map((i) => results[i].line || i + 1),
+        kind: indexes.every((i) => results[i].cusip === first)
+          ? "exact"
+          : "normalized"
+      });
+    });
+    return duplicates;
+  }
+
+  /**
+   * The first occurrence of each identifier, for a de-duplicated export.
+   */
+  function uniqueResults(results) {
+    const seen = new Set();
+    return results.filter((result) => {
+      const key = duplicateKey(result);
+      if (key === null) return true;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  const ISSUER_GROUPINGS = ["prefix", "name"];
+
+  /**
+   * Six-character issuer number of a CUSIP or CINS, or of the CUSIP inside
+   * an ISIN. Read from the normalized input, so invalid identifiers still
+   * count towards their issuer; null for other types and short input.
+   */
+  function issuerPrefix(result) {
+    const value = result.normalized || "";
+    if (result.type === "CUSIP" || result.type === "CINS") {
+      return value.length >= 6 ? value.slice(0, 6) : null;
+    }
+    if (result.type === "ISIN") {
+      return value.length >= 8 ? value.slice(2, 8) : null;
+    }
+    return null;
+  }
+
+  /**
+   * Batch results rolled up by issuer: by issuer number ("prefix"), or by
+   * the issuer name of their security master entry ("name"). Results
+   * without an entry join the name seen for their issuer number, or else
+   * fall back to the number. Results with no issuer number share one group
+   * with a null key.
+   *
+   * Returns groups in order of first appearance: { key, name, prefixes,
+   * total, valid, invalid, lines, indexes }, with `name` from the first
+   * security master entry in the group ("" if none).
+   */
+  function groupByIssuer(results, { by = "prefix" } = {}) {
+    if (!ISSUER_GROUPINGS.includes(by)) {
+      throw new Error(`Unknown issuer grouping "${by}"`);
+    }
+
+    const names = new Map();
+    if (by === "name") {
+      results.forEach((result) => {
+        const prefix = issuerPrefix(result);
+        if (result.security && result.security.issuer && !names.has(prefix)) {
+          names.set(prefix, result.security.issuer);
+        }
+      });
+    }
+
+    const groups = new Map();
+    results.forEach((result, index) => {
+      const prefix = issuerPrefix(result);
+      const name = result.security ? result.security.issuer : "";
+      const key = by === "name" ? name || names.get(prefix) || prefix : prefix;
+
+      if (!groups.has(key)) {
+        groups.set(key, {
+          key,
+          name: "",
+          prefixes: [],
+          total: 0,
+          valid: 0,
+          invalid: 0,
+          lines: [],
+          indexes: []
+        });
+      }
+
+      const group = groups.get(key);
+      if (!group.name && name) group.name = name;
+      if (prefix !== null && !group.prefixes.includes(prefix)) {
+        group.prefixes.push(prefix);
+      }
+      group.total++;
+      if (result.valid) {
+        group.valid++;
+      } else {
+        group.invalid++;
+      }
+      group.lines.push(result.line || index + 1);
+      group.indexes.push(index);
+    });
+
+    return Array.from(groups.values());
+  }
+
+  /**
+   * One line of a reconciliation list, validated as a CUSIP (after
+   * spreadsheet repair, as validateLine()).
+   */
+  function validateListLine(line, { policy, repairSpreadsheet = true } = {}) {
+    const fixed = repairSpreadsheet
+      ? CUSIPCore.repairSpreadsheetValue(line, { policy })
+      : { value: line, repairs: [] };
+    const { trace, ...result } = CUSIPCore.validateCUSIP(
+      fixed.errorCode ? line : fixed.value,
+      { policy }
+    );
+
+    return { cusip: line, ...result, repairs: fixed.repairs };
+  }
+
+  /**
+   * How two 9-character values that are not equal nearly match: a
+   * different check digit, one other character substituted, or two
+   * adjacent characters swapped. Returns { kind: "checkDigit" | "typo",
+   * description } or null.
+   */
+  function nearMatch(a, b) {
+    if (a.length !== CUSIPCore.CUSIP_LENGTH || b.length !== a.length) {
+      return null;
+    }
+
+    const diffs = [];
+    for (let i = 0; i < a.length && diffs.length <= 2; i++) {
+      if (a[i] !== b[i]) diffs.push(i);
+    }
+
+    if (diffs.length === 1) {
+      const i = diffs[0];
+      return i === CUSIPCore.BASE_LENGTH
+        ? {
+            kind: "checkDigit",
+            description: `Check digit ${a[i]} vs ${b[i]}`
+          }
+        : {
+            kind: "typo",
+            description: `Position ${i + 1}: ${a[i]} vs ${b[i]}`
+          };
+    }
+
+    const [i, j] = diffs;
+    if (diffs.length === 2 && j === i + 1 && a[i] === b[j] && a[j] === b[i]) {
+      return {
+        kind: "typo",
+        description: `Positions ${i + 1} and ${j + 1} swapped`
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Keys two values share when nearMatch() may pair them: the value with
+   * one position blanked (substitutions), or with one adjacent pair sorted
+   * (transpositions).
+   */
+  function nearMatchKeys(value) {
+    if (value.length !== CUSIPCore.CUSIP_LENGTH) return [];
+
+    const keys = [];
+    for (let i = 0; i < value.length; i++) {
+      keys.push(`s${i}:${value.slice(0, i)}*${value.slice(i + 1)}`);
+    }
+    for (let i = 0; i + 1 < value.length; i++) {
+      const pair = [value[i], value[i + 1]].sort().join("");
+      keys.push(`t${i}:${value.slice(0, i)}${pair}${value.slice(i + 2)}`);
+    }
+    return keys;
+  }
+
+  /**
+   * Each distinct identifier of a list with the lines it is on: { key,
+   * identifier, lines, result }, keyed as for findDuplicates().
+   */
+  function listEntries(lines, options) {
+    const entries = new Map();
+    lines.forEach((line, index) => {
+      if (line.trim().length === 0) return;
+
+      const result = validateListLine(line, options);
+      const key = duplicateKey(result);
+      if (!entries.has(key)) {
+        entries.set(key, {
+          key,
+          identifier: line.trim(),
+          lines: [],
+          result
+        });
+      }
+      entries.get(key).lines.push(index + 1);
+    });
+    return Array.from(entries.values());
+  }
+
+  /**
+   * Compares two lists of CUSIPs (one per line; blank lines are skipped,
+   * repeats counted once). Every distinct identifier lands in one bucket:
+   *   - both:        valid on both sides ({ key, left, right })
+   *   - nearMatches: unmatched on both sides but one check digit, one
+   *                  character or one adjacent swap apart ({ left, right,
+   *                  kind, description }, see nearMatch())
+   *   - onlyLeft / onlyRight: valid, on one side only
+   *   - invalid:     failing validation and not a near-match, with `side`
+   * Entries are listEntries() records. Options as for validateLine().
+   */
+  function reconcileLists(leftLines, rightLines, options = {}) {
+    const left = listEntries(leftLines, options);
+    const right = listEntries(rightLines, options);
+
+    const rightValid = new Map();
+    right.forEach((entry) => {
+      if (entry.result.valid) rightValid.set(entry.key, entry);
+    });
+
+    const both = [];
+    const matched = new Set();
+    const leftOpen = [];
+    left.forEach((entry) => {
+      const other = entry.result.valid ? rightValid.get(entry.key) : null;
+      if (other) {
+        both.push({ key: entry.key, left: entry, right: other });
+        matched.add(other);
+      } else {
+        leftOpen.push(entry);
+      }
+    });
+    const rightOpen = right.filter((entry) => !matched.has(entry));
+
+    // Pair what is left by near-match keys; a check digit difference beats
+    // a typo, otherwise the first candidate in list order wins
+    const candidates = new Map();
+    rightOpen.forEach((entry) =>
+      nearMatchKeys(entry.key).forEach((key) => {
+        if (!candidates.has(key)) candidates.set(key, []);
+        candidates.get(key).push(entry);
+      })
+    );
+
+    const nearMatches = [];
+    const paired = new Set();
+    const leftRest = [];
+    leftOpen.forEach((entry) => {
+      let best = null;
+      nearMatchKeys(entry.key).forEach((key) =>
+        (candidates.get(key) || []).forEach((other) => {
+          if (paired.has(other)) return;
+          const match = nearMatch(entry.key, other.key);
+          if (
+            match &&
+            (!best ||
+              (match.kind === "checkDigit" && best.kind !== "checkDigit"))
+          ) {
+            best = { left: entry, right: other, ...match };
+          }
+        })
+      );
+
+      if (best) {
+        nearMatches.push(best);
+        paired.add(best.right);
+      } else {
+        leftRest.push(entry);
+      }
+    });
+    const rightRest = rightOpen.filter((entry) => !paired.has(entry));
+
+    const side = (name) => (entry) => ({ side: name, ...entry });
+    return {
+      left: { lines: leftLines.length, identifiers: left.length },
+      right: { lines: rightLines.length, identifiers: right.length },
+      both,
+      nearMatches,
+      onlyLeft: leftRest.filter((entry) => entry.result.valid),
+      onlyRight: rightRest.filter((entry) => entry.result.valid),
+      invalid: [
+        ...leftRest.filter((entry) => !entry.result.valid).map(side("left")),
+        ...rightRest.filter((entry) => !entry.result.valid).map(side("right"))
+      ]
+    };
+  }
+
+  // Free text candidates: 9 CUSIP characters standing alone, with enough
+  // digits that ordinary words are not read as (near-miss) CUSIPs
+  const CANDIDATE_TOKEN = /[A-Za-z0-9*@#]+/g;
+  const CANDIDATE_MIN_DIGITS = 3;
+
+  /**
+   * CUSIPs in free text (email bodies, trade confirms, PDF text). Every
+   * standalone 9-character token with at least CANDIDATE_MIN_DIGITS digits
+   * is validated as a CUSIP: valid ones are matches; failing ones with
+   * suggestCorrections() candidates are near-misses, anything else is
+   * ignored. Repeats are listed once.
+   *
+   * Returns { candidates, matches, nearMisses }: `candidates` counts the
+   * tokens looked at; each match or near-miss is { cusip (normalized),
+   * result, suggestions, occurrences }, an occurrence being { index, line,
+   * before, text, after } with up to `context` characters either side
+   * (whitespace collapsed). Options: policy, context (default 40),
+   * suggestionLimit (default 3).
+   */
+  function extractCUSIPs(
+    text,
+    { policy, context = 40, suggestionLimit = 3 } = {}
+  ) {
+    const found = new Map();
+    const snippet = (from, to) => text.slice(from, to).replace(/\s+/g, " ");
+    let candidates = 0;
+    let line = 1;
+    let lineCounted = 0;
+
+    let token;
+    CANDIDATE_TOKEN.lastIndex = 0;
+    while ((token = CANDIDATE_TOKEN.exec(text)) !== null) {
+      const value = token[0];
+      if (
+        value.length !== CUSIPCore.CUSIP_LENGTH ||
+        (value.match(/\d/g) || []).length < CANDIDATE_MIN_DIGITS
+      ) {
+        continue;
+      }
+      candidates++;
+
+      const { trace, ...result } = CUSIPCore.validateCUSIP(value, { policy });
+      if (!found.has(result.normalized)) {
+        const suggestions = result.valid
+          ? []
+          : CUSIPCore.suggestCorrections(result.normalized, {
+              limit: suggestionLimit
+            });
+        if (!result.valid && suggestions.length === 0) continue;
+
+        found.set(result.normalized, {
+          cusip: result.normalized,
+          result,
+          suggestions,
+          occurrences: []
+        });
+      }
+
+      for (; lineCounted < token.index; lineCounted++) {
+        if (text[lineCounted] === "\n") line++;
+      }
+
+      const start = token.index;
+      const end = start + value.length;
+      found.get(result.normalized).occurrences.push({
+        index: start,
+        line,
+        before: snippet(Math.max(0, start - context), start).trimStart(),
+        text: value,
+        after: snippet(end, end + context).trimEnd()
+      });
+    }
+
+    const entries = Array.from(found.values());
+    return {
+      candidates,
+      matches: entries.filter((entry) => entry.result.valid),
+      nearMisses: entries.filter((entry) => !entry.result.valid)
+    };
+  }
+
+  const yesNo = (value) => (value ? "Yes" : "No");
+
+  /**
+   * Batch export columns, in order. `csv` formats a record value for CSV
+   * and XLSX; JSON output keeps the raw value. `basic` columns make up the
+   * compact export; "all" fields adds the rest.
+   */
+  const EXPORT_COLUMNS = [
+    { key: "identifier", header: "Identifier", basic: true },
+    { key: "type", header: "Type" },
+    { key: "valid", header: "Valid", csv: yesNo, basic: true },
+    { key: "checkDigit", header: "Check Digit", basic: true },
+    { key: "calculated", header: "Calculated", basic: true },
+    {
+      key: "validationTimeMs",
+      header: "Validation Time (ms)",
+      csv: (value) => value.toFixed(2),
+      basic: true
+    },
+    { key: "error", header: "Error", basic: true },
+    { key: "errorCode", header: "Error Code" },
+    { key: "errorPosition", header: "Error Position" },
+    { key: "normalized", header: "Normalized" },
+    { key: "inputModified", header: "Input Modified", csv: yesNo },
+    { key: "policy", header: "Policy" },
+    { key: "repairs", header: "Repairs", csv: (value) => value.join("; ") },
+    {
+      key: "suggestions",
+      header: "Suggestions",
+      csv: (value) => value.join(" ")
+    },
+    { key: "isin", header: "ISIN", basic: true },
+    { key: "isinCountry", header: "ISIN Country", basic: true },
+    { key: "issuer", header: "Issuer", basic: true },
+    { key: "ticker", header: "Ticker" },
+    { key: "assetClass", header: "Asset Class" },
+    { key: "securityStatus", header: "Security Status" },
+    { key: "inMaster", header: "In Security Master", csv: yesNo },
+    { key: "superseded", header: "Superseded", csv: yesNo },
+    { key: "replacement", header: "Replacement", basic: true },
+    { key: "effectiveDate", header: "Effective Date" },
+    { key: "originalIdentifier", header: "Original Identifier" }
+  ];
+
+  const EXPORT_FORMATS = ["csv", "json", "ndjson"];
+
+  const EXPORT_FIELDS = ["basic", "all"];
+
+  const orNull = (value) => (value === undefined ? null : value);
+
+  /**
+   * Export record for one batch result ({ cusip, ...validateIdentifier(),
+   * suggestions, validationTime, extra, security, unknownToMaster, change,
+   * originalIdentifier }), keyed by EXPORT_COLUMNS plus `extra`: the other
+   * columns of an imported file, by header. `options` are the ISIN settings
+   * passed to isinFor().
+   */
+  function exportRecord(result, options = {}) {
+    const isin = isinFor(result, options);
+    const security = result.security || null;
+    const change =
+      result.change && !result.change.pending ? result.change : null;
+
+    return {
+      identifier: result.cusip,
+      type: result.type,
+      valid: result.valid,
+      checkDigit: orNull(result.providedCheckDigit),
+      calculated: orNull(result.calculatedCheckDigit),
+      validationTimeMs: Number(result.validationTime.toFixed(2)),
+      error: result.error || null,
+      errorCode: result.errorCode || null,
+      errorPosition:
+        result.errorIndex !== null && result.errorIndex !== undefined
+          ? result.errorIndex + 1
+          : null,
+      normalized: orNull(result.normalized),
+      inputModified: Boolean(result.inputModified),
+      policy: result.policy ? result.policy.name : null,
+      repairs: (result.repairs || []).map((repair) => repair.description),
+      suggestions: (result.suggestions || []).map((s) => s.cusip),
+      isin: isin ? isin.isin : null,
+      isinCountry: isin ? isin.countryCode : null,
+      issuer: security ? security.issuer : null,
+      ticker: security ? security.ticker : null,
+      assetClass: security ? security.assetClass : null,
+      securityStatus: security ? security.status : null,
+      inMaster: security ? true : result.unknownToMaster ? false : null,
+      superseded: Boolean(change),
+      replacement: change ? change.identifier : null,
+      effectiveDate: change ? change.effectiveDate || null : null,
+      originalIdentifier: orNull(result.originalIdentifier),
+      extra: result.extra || {}
+    };
+  }
+
+  /**
+   * Quotes a CSV field when it holds a delimiter, quote, line break or
+   * surrounding whitespace (which spreadsheets would otherwise drop).
+   */
+  function csvField(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]|^\s|\s$/.test(text)
+      ? `"${text.replace(/"/g, '""')}"`
+      : text;
+  }
+
+  function exportColumns(fields) {
+    if (!EXPORT_FIELDS.includes(fields)) {
+      throw new Error(`Unknown export fields "${fields}"`);
+    }
+    return fields === "basic"
+      ? EXPORT_COLUMNS.filter((column) => column.basic)
+      : EXPORT_COLUMNS;
+  }
+
+  /**
+   * Records reduced to the chosen columns (imported columns always kept).
+   */
+  function exportRecords(results, { fields = "all", ...options } = {}) {
+    const columns = exportColumns(fields);
+    const records = results.map((result) => {
+      const record = exportRecord(result, options);
+      const picked = {};
+      columns.forEach((column) => {
+        picked[column.key] = record[column.key];
+      });
+      picked.extra = record.extra;
+      return picked;
+    });
+
+    return { columns, records };
+  }
+
+  /**
+   * Batch results as a header row and data rows of formatted cells, for CSV
+   * and spreadsheet output. Imported columns go after the standard ones, in
+   * first-seen order. Options as for formatResults().
+   */
+  function exportTable(results, options = {}) {
+    const { columns, records } = exportRecords(results, options);
+    const extraHeaders = [];
+    records.forEach((record) =>
+      Object.keys(record.extra).forEach((name) => {
+        if (!extraHeaders.includes(name)) extraHeaders.push(name);
+      })
+    );
+
+    const header = [...columns.map((column) => column.header), ...extraHeaders];
+    const rows = records.map((record) => [
+      ...columns.map((column) => {
+        const value = record[column.key];
+        if (value === null || value === undefined) return "";
+        return column.csv ? column.csv(value) : value;
+      }),
+      ...extraHeaders.map((name) =>
+        record.extra[name] === undefined ? "" : record.extra[name]
+      )
+    ]);
+
+    return { header, rows };
+  }
+
+  const list = (separator) => (values) => values.join(separator);
+
+  /**
+   * Issuer summary columns, as EXPORT_COLUMNS.
+   */
+  const ISSUER_COLUMNS = [
+    { key: "issuer", header: "Issuer" },
+    { key: "name", header: "Issuer Name" },
+    { key: "prefixes", header: "Issuer Numbers", csv: list("; ") },
+    { key: "total", header: "Identifiers" },
+    { key: "valid", header: "Valid" },
+    { key: "invalid", header: "Invalid" },
+    { key: "lines", header: "Lines", csv: list(", ") }
+  ];
+
+  /**
+   * Records as a header row and data rows of formatted cells.
+   */
+  function columnTable(columns, records) {
+    return {
+      header: columns.map((column) => column.header),
+      rows: records.map((record) =>
+        columns.map((column) => {
+          const value = record[column.key];
+          if (value === null || value === undefined) return "";
+          return column.csv ? column.csv(value) : value;
+        })
+      )
+    };
+  }
+
+  function issuerRecords(groups) {
+    return groups.map((group) => ({
+      issuer: group.key,
+      name: group.name || null,
+      prefixes: group.prefixes,
+      total: group.total,
+      valid: group.valid,
+      invalid: group.invalid,
+      lines: group.lines
+    }));
+  }
+
+  /**
+   * groupByIssuer() groups as a header row and data rows, as exportTable().
+   */
+  function issuerTable(groups) {
+    return columnTable(ISSUER_COLUMNS, issuerRecords(groups));
+  }
+
+  /**
+   * groupByIssuer() groups as "csv", "json" or "ndjson", one record per
+   * issuer. Throws on an unknown format.
+   */
+  function formatIssuerSummary(groups, format = "csv") {
+    switch (format) {
+      case "csv":
+        return toCSV(issuerTable(groups));
+      case "json":
+        return JSON.stringify(issuerRecords(groups), null, 2);
+      case "ndjson":
+        return issuerRecords(groups)
+          .map((record) => JSON.stringify(record))
+          .join("\n");
+      default:
+        throw new Error(`Unknown export format "${format}"`);
+    }
+  }
+
+  /**
+   * reconcileLists() buckets, in report order, with their export labels.
+   */
+  const RECONCILE_BUCKETS = {
+    both: "In both",
+    nearMatches: "Near match",
+    onlyLeft: "Only left",
+    onlyRight: "Only right",
+    invalid: "Invalid"
+  };
+
+  const RECONCILE_COLUMNS = [
+    { key: "bucket", header: "Bucket" },
+    { key: "left", header: "Left" },
+    { key: "leftLines", header: "Left Lines", csv: list(", ") },
+    { key: "right", header: "Right" },
+    { key: "rightLines", header: "Right Lines", csv: list(", ") },
+    { key: "difference", header: "Difference" },
+    { key: "error", header: "Error" }
+  ];
+
+  /**
+   * The left and right entry of an item in a reconcileLists() bucket;
+   * pairs carry both, the other buckets one (the other side is null).
+   */
+  function reconcileSides(item, bucket) {
+    const side =
+      item.side || { onlyLeft: "left", onlyRight: "right" }[bucket] || null;
+    return {
+      left: side === "right" ? null : item.left || item,
+      right: side === "left" ? null : item.right || item
+    };
+  }
+
+  /**
+   * Export records for the given buckets of a reconcileLists() report
+   * (default: all of them), one per entry or pair.
+   */
+  function reconciliationRecords(
+    report,
+    buckets = Object.keys(RECONCILE_BUCKETS)
+  ) {
+    const records = [];
+    buckets.forEach((bucket) => {
+      if (!RECONCILE_BUCKETS[bucket]) {
+        throw new Error(`Unknown reconciliation bucket "${bucket}"`);
+      }
+
+      report[bucket].forEach((item) => {
+        const { left, right } = reconcileSides(item, bucket);
+        const failed = [left, right].filter(
+          (entry) => entry && !entry.result.valid
+        );
+
+        records.push({
+          bucket: RECONCILE_BUCKETS[bucket],
+          left: left ? left.identifier : null,
+          leftLines: left ? left.lines : [],
+          right: right ? right.identifier : null,
+          rightLines: right ? right.lines : [],
+          difference: item.description || null,
+          error:
+            failed.length > 0
+              ? failed.map((entry) => entry.result.error).join("; ")
+              : null
+        });
+      });
+    });
+    return records;
+  }
+
+  /**
+   * Reconciliation records as "csv", "json" or "ndjson", as
+   * formatIssuerSummary().
+   */
+  function formatReconciliation(report, format = "csv", buckets) {
+    const records = reconciliationRecords(report, buckets);
+    switch (format) {
+      case "csv":
+        return toCSV(columnTable(RECONCILE_COLUMNS, records));
+      case "json":
+        return JSON.stringify(records, null, 2);
+      case "ndjson":
+        return records.map((record) => JSON.stringify(record)).join("\n");
+      default:
+        throw new Error(`Unknown export format "${format}"`);
+    }
+  }
+
+  function reconciliationTable(report, buckets) {
+    return columnTable(
+      RECONCILE_COLUMNS,
+      reconciliationRecords(report, buckets)
+    );
+  }
+
+  /**
+   * Each distinct identifier of a batch run: a Map of key -> { key, lines,
+   * result }, keyed as for findDuplicates() and holding the first
+   * occurrence's result. Results with nothing to compare are left out.
+   */
+  function runEntries(results) {
+    const entries = new Map();
+    results.forEach((result, index) => {
+      const key = duplicateKey(result);
+      if (key === null) return;
+      if (!entries.has(key)) entries.set(key, { key, lines: [], result });
+      entries.get(key).lines.push(result.line || index + 1);
+    });
+    return entries;
+  }
+
+  /**
+   * Compares two batch runs (arrays of results, e.g. yesterday's and
+   * today's) by identifier; repeats count once. Every distinct identifier
+   * whose status differs lands in one bucket:
+   *   - becameValid / becameInvalid: in both runs ({ key, before, after })
+   *   - appeared:    in the later run only ({ key, after })
+   *   - disappeared: in the earlier run only ({ key, before })
+   * `before` and `after` are runEntries() records. Also returns `unchanged`,
+   * the number of identifiers with the same status in both runs.
+   */
+  function compareRuns(beforeResults, afterResults) {
+    const before = runEntries(beforeResults);
+    const after = runEntries(afterResults);
+
+    const report = {
+      becameValid: [],
+      becameInvalid: [],
+      appeared: [],
+      disappeared: [],
+      unchanged: 0
+    };
+    after.forEach((entry, key) => {
+      const earlier = before.get(key);
+      if (!earlier) {
+        report.appeared.push({ key, after: entry });
+      } else if (earlier.result.valid === entry.result.valid) {
+        report.unchanged++;
+      } else {
+        report[entry.result.valid ? "becameValid" : "becameInvalid"].push({
+          key,
+          before: earlier,
+          after: entry
+        });
+      }
+    });
+    before.forEach((entry, key) => {
+      if (!after.has(key)) report.disappeared.push({ key, before: entry });
+    });
+    return report;
+  }
+
+  const RUN_CHANGES = {
+    becameInvalid: "Became invalid",
+    becameValid: "Became valid",
+    appeared: "Appeared",
+    disappeared: "Disappeared"
+  };
+
+  const RUN_CHANGE_COLUMNS = [
+    { key: "change", header: "Change" },
+    { key: "identifier", header: "Identifier" },
+    { key: "before", header: "Before" },
+    { key: "beforeLines", header: "Before Lines", csv: list(", ") },
+    { key: "after", header: "After" },
+    { key: "afterLines", header: "After Lines", csv: list(", ") }
+  ];
+
+  // "Valid", or the error, of a runEntries() record (null when absent)
+  function runStatus(entry) {
+    if (!entry) return null;
+    return entry.result.valid ? "Valid" : entry.result.error;
+  }
+
+  /**
+   * Export records for the given changes of a compareRuns() report
+   * (default: all of them), one per identifier.
+   */
+  function runChangeRecords(report, changes = Object.keys(RUN_CHANGES)) {
+    const records = [];
+    changes.forEach((change) => {
+      if (!RUN_CHANGES[change]) {
+        throw new Error(`Unknown run change "${change}"`);
+      }
+
+      report[change].forEach((item) => {
+        records.push({
+          change: RUN_CHANGES[change],
+          identifier: item.key,
+          before: runStatus(item.before),
+          beforeLines: item.before ? item.before.lines : [],
+          after: runStatus(item.after),
+          afterLines: item.after ? item.after.lines : []
+        });
+      });
+    });
+    return records;
+  }
+
+  /**
+   * Run comparison records as "csv", "json" or "ndjson", as
+   * formatIssuerSummary().
+   */
+  function formatRunComparison(report, format = "csv", changes) {
+    const records = runChangeRecords(report, changes);
+    switch (format) {
+      case "csv":
+        return toCSV(columnTable(RUN_CHANGE_COLUMNS, records));
+      case "json":
+        return JSON.stringify(records, null, 2);
+      case "ndjson":
+        return records.map((record) => JSON.stringify(record)).join("\n");
+      default:
+        throw new Error(`Unknown export format "${format}"`);
+    }
+  }
+
+  function runComparisonTable(report, changes) {
+    return columnTable(RUN_CHANGE_COLUMNS, runChangeRecords(report, changes));
+  }
+
+  function toCSV({ header, rows }) {
+    return [header, ...rows]
+      .map((row) => row.map(csvField).join(","))
+      .join("\n");
+  }
+
+  /**
+   * Batch results as "csv", "json" (an array) or "ndjson" (one record per
+   * line). `fields` is "all" (default) or "basic"; the other options are the
+   * ISIN settings passed to isinFor(). Throws on an unknown format or fields.
+   */
+  function formatResults(results, format = "csv", options = {}) {
+    switch (format) {
+      case "csv":
+        return toCSV(exportTable(results, options));
+      case "json":
+        return JSON.stringify(exportRecords(results, options).records, null, 2);
+      case "ndjson":
+        return exportRecords(results, options)
+          .records.map((record) => JSON.stringify(record))
+          .join("\n");
+      default:
+        throw new Error(`Unknown export format "${format}"`);
+    }
+  }
+
+  return {
+    EXPORT_COLUMNS,
+    EXPORT_FORMATS,
+    EXPORT_FIELDS,
+    parseCSV,
+    detectDelimiter,
+    isinFor,
+    MASTER_FIELDS,
+    parseSecurityMaster,
+    lookupSecurity,
+    CHANGE_FIELDS,
+    parseCUSIPChanges,
+    findReplacement,
+    substituteReplacements,
+    validateLine,
+    findDuplicates,
+    uniqueResults,
+    extractCUSIPs,
+    ISSUER_GROUPINGS,
+    issuerPrefix,
+    groupByIssuer,
+    exportRecord,
+    exportTable,
+    formatResults,
+    ISSUER_COLUMNS,
+    issuerTable,
+    formatIssuerSummary,
+    nearMatch,
+    reconcileLists,
+    RECONCILE_BUCKETS,
+    RECONCILE_COLUMNS,
+    reconcileSides,
+    reconciliationTable,
+    formatReconciliation,
+    compareRuns,
+    RUN_CHANGES,
+    RUN_CHANGE_COLUMNS,
+    runComparisonTable,
+    formatRunComparison
+  };
+});
@@ -0,0 +1,163 @@
+/**
+ * CUSIP Store - IndexedDB persistence for the web UI
+ *
+ * One database; each object store is declared in STORES with its key path
+ * (and optional indexes). To add a store, declare it here and bump
+ * DB_VERSION: the upgrade creates whatever is missing.
+ *
+ * Every function returns a promise. They reject when IndexedDB is not
+ * available (some private browsing modes, Node), so callers can fall back
+ * to keeping data in memory.
+ *
+ * Loading:
+ *   - Browser script:   load before advanced.js -> window.CUSIPStore
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CUSIPStore = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const DB_NAME = "cusip-validator";
+  const DB_VERSION = 5;
+
+  const STORES = {
+    // Security master records, keyed by 9-character CUSIP
+    securities: { keyPath: "cusip" },
+    // Corporate-action CUSIP changes, keyed by the retired CUSIP
+    cusipChanges: { keyPath: "oldCusip" },
+    // Single-validation history, keyed by a per-entry id
+    history: { keyPath: "id" },
+    // Saved batch runs: name, source and summary here, and their results
+    // under the same id in batchRunResults so listing runs stays cheap
+    batchRuns: { keyPath: "id" },
+    batchRunResults: { keyPath: "id" },
+    // Hash-chained audit log (append only, see cusip-audit.js), keyed by
+    // sequence number, and the key pair its bundles are signed with
+    auditLog: { keyPath: "seq" },
+    auditKeys: { keyPath: "id" }
+  };
+
+  let dbPromise = null;
+
+  function open() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.entries(STORES).forEach(([name, schema]) => {
+          if (db.objectStoreNames.contains(name)) return;
+
+          const store = db.createObjectStore(name, {
+            keyPath: schema.keyPath,
+            autoIncrement: Boolean(schema.autoIncrement)
+          });
+          (schema.indexes || []).forEach((index) =>
+            store.createIndex(index.name, index.keyPath, {
+              unique: Boolean(index.unique)
+            })
+          );
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // A failed open may succeed later (e.g. after a blocked upgrade)
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+    return dbPromise;
+  }
+
+  /**
+   * Runs `work(store)` in a transaction and resolves, once the transaction
+   * completes, with the result of the request `work` returned (if any).
+   */
+  function withStore(name, mode, work) {
+    return open().then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const tx = db.transaction(name, mode);
+          const request = work(tx.objectStore(name));
+          tx.oncomplete = () => resolve(request ? request.result : undefined);
+          tx.onerror = () => reject(tx.error);
+          tx.onabort = () =>
+            reject(tx.error || new Error("Transaction aborted"));
+        })
+    );
+  }
+
+  const get = (name, key) =>
+    withStore(name, "readonly", (store) => store.get(key));
+
+  const getAll = (name) =>
+    withStore(name, "readonly", (store) => store.getAll());
+
+  const count = (name) => withStore(name, "readonly", (store) => store.count());
+
+  const put = (name, record) =>
+    withStore(name, "readwrite", (store) => store.put(record));
+
+  // Like put(), but rejects when a record with the same key exists
+  const add = (name, record) =>
+    withStore(name, "readwrite", (store) => store.add(record));
+
+  // The record with the highest key, or undefined for an empty store
+  const last = (name) =>
+    withStore(name, "readonly", (store) =>
+      store.openCursor(null, "prev")
+    ).then((cursor) => (cursor ? cursor.value : undefined));
+
+  const remove = (name, key) =>
+    withStore(name, "readwrite", (store) => store.delete(key));
+
+  const clear = (name) =>
+    withStore(name, "readwrite", (store) => store.clear());
+
+  const putMany = (name, records) =>
+    withStore(name, "readwrite", (store) => {
+      records.forEach((record) => store.put(record));
+    });
+
+  const removeMany = (name, keys) =>
+    withStore(name, "readwrite", (store) => {
+      keys.forEach((key) => store.delete(key));
+    });
+
+  /**
+   * Replaces the whole contents of a store in one transaction.
+   */
+  function replaceAll(name, records) {
+    return withStore(name, "readwrite", (store) => {
+      store.clear();
+      records.forEach((record) => store.put(record));
+    });
+  }
+
+  return {
+    STORES,
+    open,
+    get,
+    getAll,
+    count,
+    last,
+    put,
+    add,
+    putMany,
+    remove,
+    removeMany,
+    clear,
+    replaceAll
+  };
+});
@@ -0,0 +1,81 @@
+/**
+ * cli.js exit codes: 0 when every identifier is valid, 1 when any fails
+ * (for --reconcile, when the lists differ), 2 on usage or I/O errors.
+ *
+ * Run with: node --test
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const CLI = path.join(__dirname, "..", "cli.js");
+
+function cli(args, input = "") {
+  return spawnSync(process.execPath, [CLI, ...args], {
+    input,
+    encoding: "utf8"
+  });
+}
+
+function tempFile(name, text) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cusip-cli-"));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+test("exits 0 when every identifier is valid", () => {
+  const run = cli(["--quiet"], "037833100\n17275R102\n");
+
+  assert.equal(run.status, 0);
+  assert.equal(run.stderr, "");
+  assert.equal(run.stdout.trim().split("\n").length, 3);
+});
+
+test("exits 1 when any identifier fails", () => {
+  const run = cli(["--quiet", "--format", "ndjson"], "037833100\n037833101\n");
+
+  assert.equal(run.status, 1);
+  const records = run.stdout
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+  assert.deepEqual(
+    records.map((record) => record.valid),
+    [true, false]
+  );
+});
+
+test("repairs spreadsheet damage unless --no-repair is given", () => {
+  assert.equal(cli(["--quiet"], "37833100\n").status, 0);
+  assert.equal(cli(["--quiet", "--no-repair"], "37833100\n").status, 1);
+});
+
+test("exits 2 on an unknown option", () => {
+  const run = cli(["--no-such-option"], "037833100\n");
+
+  assert.equal(run.status, 2);
+  assert.notEqual(run.stderr, "");
+});
+
+test("exits 2 when an input file cannot be read", () => {
+  const run = cli([path.join(os.tmpdir(), "cusip-cli-missing.txt")]);
+
+  assert.equal(run.status, 2);
+});
+
+test("--reconcile exits 0 only when both lists hold the same CUSIPs", () => {
+  const right = tempFile("right.txt", "17275R102\n037833100\n");
+
+  assert.equal(
+    cli(["--quiet", "--reconcile", right], "037833100\n17275R102\n").status,
+    0
+  );
+  assert.equal(cli(["--quiet", "--reconcile", right], "037833100\n").status, 1);
+  fs.rmSync(path.dirname(right), { recursive: true });
+});
@@ -0,0 +1,114 @@
+/**
+ * cusip-audit.js checks: verifyChain() and verifyBundle() on a short signed
+ * log, intact and with an entry edited, removed or cut off the end.
+ *
+ * Run with: node --test
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const CUSIPAudit = require("../cusip-audit");
+
+async function buildChain(length) {
+  const entries = [];
+  for (let i = 0; i < length; i++) {
+    entries.push(
+      await CUSIPAudit.createEntry(
+        entries[entries.length - 1] || null,
+        "validation",
+        { cusip: "037833100", valid: true, n: i },
+        { timestamp: 1700000000000 + i }
+      )
+    );
+  }
+  return entries;
+}
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+const types = (result) => result.problems.map((problem) => problem.type);
+
+test("an intact chain and its signed bundle verify", async () => {
+  const entries = await buildChain(4);
+  const last = entries[entries.length - 1];
+
+  assert.equal(entries[0].prevHash, CUSIPAudit.GENESIS_HASH);
+  assert.deepEqual(
+    await CUSIPAudit.verifyChain(entries, {
+      head: { seq: last.seq, hash: last.hash }
+    }),
+    { valid: true, count: 4, problems: [] }
+  );
+
+  const bundle = await CUSIPAudit.signBundle(
+    entries,
+    await CUSIPAudit.generateSigningKey()
+  );
+  assert.equal(bundle.format, CUSIPAudit.BUNDLE_FORMAT);
+  assert.deepEqual(bundle.head, { seq: 4, hash: last.hash });
+
+  const result = await CUSIPAudit.verifyBundle(bundle);
+  assert.equal(result.valid, true);
+  assert.equal(result.signatureValid, true);
+  assert.equal(result.chain.valid, true);
+});
+
+test("an edited entry is reported as modified", async () => {
+  const entries = copy(await buildChain(4));
+  entries[2].record.valid = false;
+
+  const result = await CUSIPAudit.verifyChain(entries);
+  assert.equal(result.valid, false);
+  assert.deepEqual(types(result), ["modified"]);
+  assert.equal(result.problems[0].seq, 3);
+});
+
+test("a removed entry is reported as a gap", async () => {
+  const entries = await buildChain(4);
+  entries.splice(1, 1);
+
+  const result = await CUSIPAudit.verifyChain(entries);
+  assert.equal(result.valid, false);
+  assert.deepEqual(types(result), ["gap"]);
+  assert.equal(result.problems[0].message, "Entry #2 is missing");
+});
+
+test("entries cut off the end are reported as truncated", async () => {
+  const entries = await buildChain(4);
+  const last = entries[entries.length - 1];
+
+  const result = await CUSIPAudit.verifyChain(entries.slice(0, 2), {
+    head: { seq: last.seq, hash: last.hash }
+  });
+  assert.equal(result.valid, false);
+  assert.deepEqual(types(result), ["truncated"]);
+  assert.equal(result.problems[0].seq, 4);
+});
+
+test("an edited bundle fails its signature check", async () => {
+  const bundle = await CUSIPAudit.signBundle(
+    await buildChain(3),
+    await CUSIPAudit.generateSigningKey()
+  );
+
+  // Same chain, but not what was signed
+  const renamed = { ...copy(bundle), exportedAt: "2000-01-01T00:00:00.000Z" };
+  const result = await CUSIPAudit.verifyBundle(renamed);
+  assert.equal(result.valid, false);
+  assert.equal(result.signatureValid, false);
+  assert.equal(result.chain.valid, true);
+
+  // An edited entry breaks both the signature and the chain
+  const edited = copy(bundle);
+  edited.entries[1].record.cusip = "037833101";
+  const both = await CUSIPAudit.verifyBundle(edited);
+  assert.equal(both.signatureValid, false);
+  assert.deepEqual(types(both.chain), ["modified"]);
+});
+
+test("verifyBundle rejects anything that is not an audit bundle", async () => {
+  await assert.rejects(
+    CUSIPAudit.verifyBundle({ entries: [] }),
+    /Not a CUSIP audit bundle/
+  );
+});
@@ -0,0 +1,255 @@
+/**
+ * cusip-core.js checks: known-good and known-bad vectors for the engine.
+ *
+ * Run with: node --test
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const CUSIPCore = require("../cusip-core");
+
+// Apple, Cisco, Google, Oracle, Microsoft
+const VALID_CUSIPS = [
+  "037833100",
+  "17275R102",
+  "38259P508",
+  "68389X105",
+  "594918104"
+];
+
+test("validateCUSIP accepts known-good CUSIPs", () => {
+  VALID_CUSIPS.forEach((cusip) => {
+    const result = CUSIPCore.validateCUSIP(cusip);
+    assert.equal(result.valid, true, cusip);
+    assert.equal(CUSIPCore.isValid(cusip), true, cusip);
+  });
+});
+
+test("computeCheckDigit computes the ninth character", () => {
+  assert.equal(CUSIPCore.computeCheckDigit("03783310"), 0);
+  assert.equal(CUSIPCore.computeCheckDigit("38259P50"), 8);
+  assert.equal(CUSIPCore.computeCheckDigit("17275R10"), 2);
+});
+
+test("validateCUSIP rejects a wrong check digit", () => {
+  const result = CUSIPCore.validateCUSIP("037833101");
+
+  assert.equal(result.valid, false);
+  assert.equal(result.providedCheckDigit, 1);
+  assert.equal(result.calculatedCheckDigit, 0);
+  assert.equal(CUSIPCore.isValid("68389X106"), false);
+  assert.equal(CUSIPCore.isValid("123456789"), false);
+});
+
+test("validateCUSIP rejects the wrong length and bad characters", () => {
+  ["", "0378", "0378331000", "03783310!"].forEach((input) =>
+    assert.equal(CUSIPCore.validateCUSIP(input).valid, false, input)
+  );
+});
+
+test("completeCUSIP appends the check digit to an 8-character base", () => {
+  const result = CUSIPCore.completeCUSIP("03783310");
+
+  assert.equal(result.valid, true);
+  assert.equal(result.checkDigit, 0);
+  assert.equal(result.cusip, "037833100");
+  assert.equal(CUSIPCore.completeCUSIP("0378331").valid, false);
+  assert.equal(CUSIPCore.completeCUSIP("037833101").valid, false);
+});
+
+test("validateCUSIP offers the corrected CUSIP for a wrong check digit", () => {
+  assert.equal(
+    CUSIPCore.validateCUSIP("037833101").correctedCUSIP,
+    "037833100"
+  );
+  assert.equal(CUSIPCore.validateCUSIP("037833100").correctedCUSIP, null);
+});
+
+test("suggestCorrections only suggests checksum-valid CUSIPs", () => {
+  const suggestions = CUSIPCore.suggestCorrections("037833101", { limit: 5 });
+
+  assert.ok(suggestions.length > 0 && suggestions.length <= 5);
+  suggestions.forEach((s) => assert.equal(CUSIPCore.isValid(s.cusip), true));
+  assert.ok(suggestions.some((s) => s.cusip === "037833100"));
+  assert.ok(suggestions.some((s) => s.cusip === "038733101"));
+});
+
+test("validateISIN checks the ISIN check digit", () => {
+  const result = CUSIPCore.validateISIN("US0378331005");
+
+  assert.equal(result.valid, true);
+  assert.equal(result.countryCode, "US");
+  assert.equal(CUSIPCore.validateISIN("US0378331006").valid, false);
+  assert.equal(CUSIPCore.validateISIN("US037833100").valid, false);
+});
+
+test("cusipToISIN and isinToCUSIP convert between the two", () => {
+  assert.equal(CUSIPCore.cusipToISIN("037833100").isin, "US0378331005");
+  assert.equal(CUSIPCore.isinToCUSIP("US0378331005").cusip, "037833100");
+  assert.equal(CUSIPCore.cusipToISIN("037833101").valid, false);
+});
+
+test("validateSEDOL and validateFIGI check their check digits", () => {
+  assert.equal(CUSIPCore.validateSEDOL("0263494").valid, true);
+  assert.equal(CUSIPCore.validateSEDOL("0263495").valid, false);
+  assert.equal(CUSIPCore.validateFIGI("BBG000B9XRY4").valid, true);
+  assert.equal(CUSIPCore.validateFIGI("BBG000B9XRY5").valid, false);
+});
+
+test("detectIdentifier tells the identifier types apart", () => {
+  [
+    ["037833100", "CUSIP"],
+    ["G0052B105", "CINS"],
+    ["US0378331005", "ISIN"],
+    ["0263494", "SEDOL"],
+    ["BBG000B9XRY4", "FIGI"],
+    ["XYZ", "UNKNOWN"]
+  ].forEach(([input, type]) =>
+    assert.equal(CUSIPCore.detectIdentifier(input), type, input)
+  );
+});
+
+test("describeCUSIP splits issuer and issue and classifies the issue", () => {
+  const equity = CUSIPCore.describeCUSIP("037833100");
+  assert.equal(equity.issuer, "037833");
+  assert.equal(equity.issue, "10");
+  assert.equal(equity.issueClass, "equity");
+  assert.equal(equity.cins, null);
+
+  assert.equal(CUSIPCore.describeCUSIP("12345ZZZ7").issueClass, "fixed-income");
+});
+
+test("describeCUSIP names the CINS region", () => {
+  const cins = CUSIPCore.describeCUSIP("G0052B105").cins;
+
+  assert.equal(cins.region, "United Kingdom");
+  assert.equal(cins.countryCode, "GB");
+});
+
+test("validateCUSIP traces the checksum position by position", () => {
+  const { trace, sum } = CUSIPCore.validateCUSIP("037833100");
+
+  assert.equal(trace.length, 8);
+  assert.deepEqual(
+    trace.map((step) => step.doubled),
+    [false, true, false, true, false, true, false, true]
+  );
+  // 8 doubled is 16, which contributes 1 + 6
+  assert.equal(trace[3].weighted, 16);
+  assert.equal(trace[3].contribution, 7);
+  assert.equal(trace[7].runningSum, sum);
+  assert.equal(sum, 30);
+});
+
+test("validateCUSIP reports error codes and positions", () => {
+  [
+    ["", "EMPTY", null],
+    ["0378", "LENGTH", null],
+    ["03783310!", "CHARSET", 8],
+    ["03783310A", "NON_NUMERIC_CHECK", 8],
+    ["037833101", "CHECK_DIGIT", 8]
+  ].forEach(([input, code, index]) => {
+    const result = CUSIPCore.validateCUSIP(input);
+    assert.equal(result.errorCode, code, input);
+    assert.equal(result.errorIndex, index, input);
+  });
+  assert.equal(CUSIPCore.validateCUSIP("037833100").errorCode, null);
+});
+
+test("policies decide what input is cleaned up", () => {
+  [
+    ["037833100", true, true, true],
+    [" 037833100", false, true, true],
+    ["38259p508", false, true, true],
+    ["037 833 100", false, false, true],
+    ["0378-33100", false, false, true]
+  ].forEach(([input, strict, standard, lenient]) => {
+    const valid = (policy) => CUSIPCore.validateCUSIP(input, { policy }).valid;
+    assert.equal(valid("strict"), strict, `strict ${input}`);
+    assert.equal(valid("standard"), standard, `standard ${input}`);
+    assert.equal(valid("lenient"), lenient, `lenient ${input}`);
+  });
+});
+
+test("only the lenient policy accepts a letter as check character", () => {
+  const result = (policy) =>
+    CUSIPCore.validateCUSIP("03783310A", { policy }).errorCode;
+
+  assert.equal(result("strict"), "NON_NUMERIC_CHECK");
+  assert.equal(result("lenient"), "CHECK_DIGIT");
+});
+
+test("a cleaned-up input is flagged as modified", () => {
+  const result = CUSIPCore.validateCUSIP(" 037833100", { policy: "standard" });
+
+  assert.equal(result.normalized, "037833100");
+  assert.equal(result.inputModified, true);
+  assert.equal(CUSIPCore.DEFAULT_POLICY.name, "standard");
+  assert.equal(
+    CUSIPCore.resolvePolicy({ caseFolding: false }).caseFolding,
+    false
+  );
+});
+
+test("repairSpreadsheetValue undoes spreadsheet damage", () => {
+  [
+    ["37833100", "037833100", ["leadingZeros"]],
+    ['"17275R102",', "17275R102", ["quotes", "separators"]],
+    ['="037833100"', "037833100", ["textFormula"]],
+    ["037833100", "037833100", []]
+  ].forEach(([input, value, repairs]) => {
+    const result = CUSIPCore.repairSpreadsheetValue(input);
+    assert.equal(result.value, value, input);
+    assert.deepEqual(
+      result.repairs.map((repair) => repair.type),
+      repairs,
+      input
+    );
+  });
+});
+
+test("repairSpreadsheetValue cannot recover scientific notation", () => {
+  const result = CUSIPCore.repairSpreadsheetValue("3.78E+08");
+
+  assert.equal(result.errorCode, "SCIENTIFIC_NOTATION");
+  assert.deepEqual(result.repairs, []);
+});
+
+test("validateIdentifier repairs only when asked", () => {
+  assert.equal(
+    CUSIPCore.validateIdentifier("37833100", { repairSpreadsheet: true }).valid,
+    true
+  );
+  assert.equal(CUSIPCore.validateIdentifier("37833100").valid, false);
+});
+
+test("suggestCorrections ranks a confusion that fits its neighbours first", () => {
+  const ranked = (input) =>
+    CUSIPCore.suggestCorrections(input, { limit: 5 }).map((s) => s.cusip);
+
+  // O -> 0 between digits beats 1 -> I, which fits only between letters
+  // and not at all next to the leading 7
+  assert.deepEqual(ranked("17275R1O2"), [
+    "17275R102",
+    "17275RIO2",
+    "17275R1O0",
+    "17257R1O2",
+    "I7275R1O2"
+  ]);
+  assert.deepEqual(ranked("38259PS08").slice(0, 2), ["38259P508", "38259PS03"]);
+  assert.deepEqual(ranked("O37833100").slice(0, 2), ["037833100", "O37833104"]);
+});
+
+test("suggestCorrections ranks the check digit fix above a swap", () => {
+  const suggestions = CUSIPCore.suggestCorrections("037833101", { limit: 3 });
+
+  assert.deepEqual(
+    suggestions.map((s) => [s.cusip, s.type]),
+    [
+      ["037833100", "check-digit"],
+      ["038733101", "transposition"],
+      ["937833101", "substitution"]
+    ]
+  );
+});
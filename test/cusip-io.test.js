@@ -0,0 +1,124 @@
+/**
+ * cusip-io.js checks: spreadsheet repair in validateLine(), CSV quoting in
+ * formatResults() and the reconcileLists() buckets.
+ *
+ * Run with: node --test
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const CUSIPIO = require("../cusip-io");
+
+test("validateLine restores leading zeros a spreadsheet dropped", () => {
+  const result = CUSIPIO.validateLine("37833100");
+
+  assert.equal(result.valid, true);
+  assert.equal(result.cusip, "37833100");
+  assert.equal(result.normalized, "037833100");
+  assert.deepEqual(
+    result.repairs.map((repair) => repair.type),
+    ["leadingZeros"]
+  );
+});
+
+test("validateLine strips quotes and stray separators", () => {
+  const result = CUSIPIO.validateLine('"17275R102",');
+
+  assert.equal(result.valid, true);
+  assert.equal(result.normalized, "17275R102");
+  assert.deepEqual(
+    result.repairs.map((repair) => repair.type),
+    ["quotes", "separators"]
+  );
+});
+
+test("validateLine leaves the input alone without repairSpreadsheet", () => {
+  const result = CUSIPIO.validateLine("37833100", {
+    repairSpreadsheet: false
+  });
+
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.repairs, []);
+});
+
+test("validateLine reports scientific notation as unrecoverable", () => {
+  const result = CUSIPIO.validateLine("3.78E+08");
+
+  assert.equal(result.valid, false);
+  assert.equal(result.errorCode, "SCIENTIFIC_NOTATION");
+  assert.deepEqual(result.repairs, []);
+});
+
+test("validateLine suggests corrections for a bad check digit", () => {
+  const result = CUSIPIO.validateLine("037833101");
+
+  assert.equal(result.valid, false);
+  assert.ok(result.suggestions.some((s) => s.cusip === "037833100"));
+});
+
+test("formatResults quotes CSV fields that need it", () => {
+  const csv = CUSIPIO.formatResults(
+    [CUSIPIO.validateLine('"17275R102",'), CUSIPIO.validateLine(" 037833101")],
+    "csv"
+  );
+  const [header, quoted, padded] = csv.split("\n");
+
+  assert.ok(header.startsWith("Identifier,Type,Valid,"));
+  assert.ok(quoted.startsWith('"""17275R102"",",CUSIP,Yes,'));
+  assert.ok(padded.startsWith('" 037833101",CUSIP,No,'));
+
+  // Read back, every field is what went in
+  const rows = CUSIPIO.parseCSV(csv);
+  assert.deepEqual(
+    rows.slice(1).map((row) => row[0]),
+    ['"17275R102",', " 037833101"]
+  );
+});
+
+test("formatResults rejects an unknown format", () => {
+  assert.throws(
+    () => CUSIPIO.formatResults([], "xml"),
+    /Unknown export format "xml"/
+  );
+});
+
+test("reconcileLists sorts every identifier into one bucket", () => {
+  const report = CUSIPIO.reconcileLists(
+    ["037833100", "17275R102", "68389X106", "594918104", "INVALID01", ""],
+    ["037833100", "68389X105", "38259P508", "123456789", "037833100"]
+  );
+  const keys = (entries) => entries.map((entry) => entry.key);
+
+  assert.deepEqual(report.left, { lines: 6, identifiers: 5 });
+  assert.deepEqual(report.right, { lines: 5, identifiers: 4 });
+
+  assert.deepEqual(keys(report.both), ["037833100"]);
+  assert.deepEqual(report.both[0].right.lines, [1, 5]);
+
+  assert.equal(report.nearMatches.length, 1);
+  assert.equal(report.nearMatches[0].left.key, "68389X106");
+  assert.equal(report.nearMatches[0].right.key, "68389X105");
+  assert.equal(report.nearMatches[0].kind, "checkDigit");
+
+  assert.deepEqual(keys(report.onlyLeft), ["17275R102", "594918104"]);
+  assert.deepEqual(keys(report.onlyRight), ["38259P508"]);
+  assert.deepEqual(
+    report.invalid.map((entry) => [entry.side, entry.key]),
+    [
+      ["left", "INVALID01"],
+      ["right", "123456789"]
+    ]
+  );
+});
+
+test("parseCUSIPChanges skips effective dates that are not real days", () => {
+  const parse = (date) =>
+    CUSIPIO.parseCUSIPChanges(
+      `Old CUSIP,New CUSIP,Effective Date\n38259P508,02079K305,${date}\n`
+    );
+
+  assert.equal(parse("2024-02-29").changes[0].effectiveDate, "2024-02-29");
+  assert.deepEqual(parse("2024-13-45"), { changes: [], skipped: 1 });
+  assert.deepEqual(parse("2023-02-29"), { changes: [], skipped: 1 });
+});